@@ -1,107 +1,121 @@
-// export-md.js — Export Ghost blog posts to Markdown files
+// export-md.js — Export Ghost blog posts (and optionally pages, drafts and scheduled posts) to Markdown files
 require('dotenv').config();
 const fs = require('fs-extra');
 const path = require('path');
-const TurndownService = require('turndown');
-const { gfm } = require('turndown-plugin-gfm');
+const { parseArgs } = require('util');
+const { SOURCE_TYPES, createSource } = require('./lib/sources');
+const { createFilter, parseDate } = require('./lib/export/filters');
+const { PROFILES, renderPost } = require('./lib/export/profiles');
+const { createImageLocalizer } = require('./lib/export/images');
+const { protectHtmlCards } = require('./lib/export/cards');
+const { createLinkRewriter } = require('./lib/export/links');
+const { createTurndownService } = require('./lib/export/turndown');
+
+// --- Command Line ---
+const USAGE = `Usage: node export-md.js [options]
+
+Options:
+  -s, --source <type>   Where to read Ghost's content: mysql (the local database),
+                        json (a Ghost JSON export) or api (a Ghost site's Admin or
+                        Content API) (default: mysql)
+  --file <path>         Export file for --source json (default: the latest
+                        *ghost*.json in ghost/content/data)
+  --api-url <url>       Ghost site for --source api (default: GHOST_URL); the key is
+                        read from GHOST_ADMIN_API_KEY or GHOST_CONTENT_API_KEY
+  --pages               Also export pages (written to pages/)
+  --drafts              Also export drafts
+  --scheduled           Also export scheduled posts
+  --tag <name|slug>     Only entries with this tag (repeatable)
+  --author <name|slug>  Only entries by this author (repeatable)
+  --from <YYYY-MM-DD>   Only entries dated on or after this day
+  --until <YYYY-MM-DD>  Only entries dated on or before this day
+  --slug <glob>         Only slugs matching this glob, e.g. 'weekly-*' (repeatable)
+  -p, --profile <name>  Frontmatter and layout: ${Object.keys(PROFILES).join(', ')} (default: generic)
+  --seo-fields          Also write Ghost's SEO and social fields, featured and
+                        visibility with the generic profile (the other profiles
+                        always do)
+  --images              Copy each entry's images into a bundle folder next to it
+                        (from ghost/content/images, else fetched from Ghost)
+  --wikilinks           Write links between exported entries as [[wikilinks]]
+                        instead of relative .md links
+  -h, --help            Show this help
+
+Entries are dated by their publish date (the scheduled date for scheduled posts)
+or, for drafts, their last edit. The export fails when the source is unavailable;
+it never falls back to another one.`;
+
+let args;
+try {
+    ({ values: args } = parseArgs({
+        options: {
+            source: { type: 'string', short: 's', default: 'mysql' },
+            file: { type: 'string' },
+            'api-url': { type: 'string' },
+            pages: { type: 'boolean', default: false },
+            drafts: { type: 'boolean', default: false },
+            scheduled: { type: 'boolean', default: false },
+            tag: { type: 'string', multiple: true, default: [] },
+            author: { type: 'string', multiple: true, default: [] },
+            from: { type: 'string' },
+            until: { type: 'string' },
+            slug: { type: 'string', multiple: true, default: [] },
+            profile: { type: 'string', short: 'p', default: 'generic' },
+            'seo-fields': { type: 'boolean', default: false },
+            images: { type: 'boolean', default: false },
+            wikilinks: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    }));
+    parseDate(args.from);
+    parseDate(args.until);
+    if (!Object.hasOwn(SOURCE_TYPES, args.source)) {
+        throw new Error(`Unknown source "${args.source}" (expected one of ${Object.keys(SOURCE_TYPES).join(', ')})`);
+    }
+    if (args.file && args.source !== 'json') throw new Error('--file needs --source json');
+    if (args['api-url'] && args.source !== 'api') throw new Error('--api-url needs --source api');
+    if (!Object.hasOwn(PROFILES, args.profile)) {
+        throw new Error(`Unknown profile "${args.profile}" (expected one of ${Object.keys(PROFILES).join(', ')})`);
+    }
+} catch (e) {
+    console.error(`❌ Error: ${e.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
 
 // --- Configuration ---
 const CONFIG = {
-    ghostDataDir: path.resolve(__dirname, 'ghost/content/data'),
+    ghostImagesDir: path.resolve(__dirname, 'ghost/content/images'),
     exportDir: path.resolve(__dirname, 'export'),
-    ghostUrl: process.env.GHOST_URL || 'http://localhost:2368',
+    // Internal links left as URLs (slug, href, reason), written into exportDir
+    brokenLinksFile: 'broken-links.json',
+    ghostUrl: args['api-url'] || process.env.GHOST_URL || 'http://localhost:2368',
     deployUrl: process.env.DEPLOY_URL || '',
-    db: {
-        host: '127.0.0.1',
-        port: Number(process.env.DB_PORT) || 13928,
-        user: process.env.DB_USER || 'ghost',
-        password: process.env.DB_PASSWORD,
-        database: process.env.DB_NAME || 'ghost',
-    },
-};
-
-// --- Turndown Setup ---
-const createTurndownService = () => {
-    const turndown = new TurndownService({
-        headingStyle: 'atx',
-        codeBlockStyle: 'fenced',
-        bulletListMarker: '-',
-        emDelimiter: '*',
-        strongDelimiter: '**',
-        hr: '---',
-    });
-
-    // Enable GitHub Flavored Markdown (tables, strikethrough, task lists)
-    turndown.use(gfm);
-
-    // Custom rule: preserve figure/figcaption as image + italic caption
-    turndown.addRule('figure', {
-        filter: 'figure',
-        replacement: (content, node) => {
-            const img = node.querySelector('img');
-            const figcaption = node.querySelector('figcaption');
-            if (!img) return content;
-
-            const src = img.getAttribute('src') || '';
-            const alt = img.getAttribute('alt') || figcaption?.textContent || '';
-            const caption = figcaption ? `\n*${figcaption.textContent.trim()}*` : '';
-            return `\n\n![${alt}](${src})${caption}\n\n`;
-        },
-    });
-
-    // Custom rule: Ghost bookmark cards → titled links
-    turndown.addRule('ghostBookmark', {
-        filter: (node) => {
-            return node.nodeName === 'FIGURE' &&
-                node.className && node.className.includes('kg-bookmark-card');
-        },
-        replacement: (content, node) => {
-            const link = node.querySelector('a.kg-bookmark-container');
-            const title = node.querySelector('.kg-bookmark-title');
-            if (!link) return content;
-
-            const href = link.getAttribute('href') || '';
-            const text = title ? title.textContent.trim() : href;
-            return `\n\n[${text}](${href})\n\n`;
+    sources: {
+        mysql: {
+            host: '127.0.0.1',
+            port: Number(process.env.DB_PORT) || 13928,
+            user: process.env.DB_USER || 'ghost',
+            password: process.env.DB_PASSWORD,
+            database: process.env.DB_NAME || 'ghost',
         },
-    });
-
-    // Custom rule: Ghost callout/aside cards
-    turndown.addRule('ghostCallout', {
-        filter: (node) => {
-            return node.nodeName === 'DIV' &&
-                node.className && node.className.includes('kg-callout-card');
+        json: {
+            file: args.file && path.resolve(args.file),
+            dataDir: path.resolve(__dirname, 'ghost/content/data'),
         },
-        replacement: (content, node) => {
-            const emoji = node.querySelector('.kg-callout-emoji');
-            const text = node.querySelector('.kg-callout-text');
-            if (!text) return content;
-
-            const prefix = emoji ? `${emoji.textContent.trim()} ` : '> ';
-            return `\n\n> ${prefix}${text.textContent.trim()}\n\n`;
+        api: {
+            url: args['api-url'] || process.env.GHOST_URL,
+            adminKey: process.env.GHOST_ADMIN_API_KEY,
+            contentKey: process.env.GHOST_CONTENT_API_KEY,
         },
-    });
-
-    return turndown;
+    },
 };
 
 // --- Helpers ---
 
-/**
- * Find the latest Ghost JSON export file by filename timestamp.
- */
-const findLatestExport = (dataDir) => {
-    if (!fs.existsSync(dataDir)) {
-        return null;
-    }
-
-    const files = fs.readdirSync(dataDir)
-        .filter(f => f.endsWith('.json') && f.includes('ghost'))
-        .sort();
-
-    return files.length > 0 ? path.join(dataDir, files[files.length - 1]) : null;
-};
-
 /**
  * Build lookup maps for tags and authors from the Ghost export data.
  */
@@ -130,8 +144,19 @@ const buildLookups = (data) => {
         postTags.get(pt.post_id).push(tag.name);
     }
 
+    // Post → lowercase tag names and slugs (internal tags included), for the --tag filter
+    const postTagKeys = new Map();
+    for (const pt of sortedPostsTags) {
+        const tag = tagsById.get(pt.tag_id);
+        if (!tag) continue;
+
+        if (!postTagKeys.has(pt.post_id)) postTagKeys.set(pt.post_id, new Set());
+        [tag.name, tag.slug].filter(Boolean).forEach(key => postTagKeys.get(pt.post_id).add(key.toLowerCase()));
+    }
+
     // Post → authors mapping: post_id → [author names] (sorted by sort_order)
     const postAuthors = new Map();
+    const postAuthorKeys = new Map();
     const sortedPostsAuthors = [...(data.posts_authors || [])].sort((a, b) => a.sort_order - b.sort_order);
     for (const pa of sortedPostsAuthors) {
         const user = usersById.get(pa.author_id);
@@ -139,23 +164,12 @@ const buildLookups = (data) => {
 
         if (!postAuthors.has(pa.post_id)) postAuthors.set(pa.post_id, []);
         postAuthors.get(pa.post_id).push(user.name);
-    }
 
-    return { postTags, postAuthors };
-};
-
-/**
- * Escape a YAML string value — wrap in quotes if it contains special chars.
- */
-const yamlValue = (val) => {
-    if (val === null || val === undefined) return '""';
-    const str = String(val);
-    if (str === '') return '""';
-    // Quote if it contains YAML-special characters
-    if (/[:#\[\]{}&*!|>'"%@`,?]/.test(str) || str.includes('\n') || str.startsWith(' ') || str.endsWith(' ')) {
-        return `"${str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        if (!postAuthorKeys.has(pa.post_id)) postAuthorKeys.set(pa.post_id, new Set());
+        [user.name, user.slug].filter(Boolean).forEach(key => postAuthorKeys.get(pa.post_id).add(key.toLowerCase()));
     }
-    return str;
+
+    return { postTags, postAuthors, postTagKeys, postAuthorKeys };
 };
 
 /**
@@ -167,63 +181,21 @@ const normalizeImageUrl = (url) => {
 };
 
 /**
- * Format a date (string or Date object) to YYYY-MM-DD.
+ * Merge posts_meta rows (SEO and social fields, Ghost 4+) into their posts.
+ * Values already on the post row (older Ghost versions) take precedence.
  */
-const formatDate = (date) => {
-    if (!date) return null;
-    if (date instanceof Date) {
-        return date.toISOString().split('T')[0];
-    }
-    if (typeof date === 'object' && typeof date.toISOString === 'function') {
-        return date.toISOString().split('T')[0];
-    }
-    return String(date).split('T')[0];
-};
-
-/**
- * Generate YAML frontmatter for a post.
- */
-const generateFrontmatter = (post, tags, authors) => {
-    const lines = ['---'];
-
-    lines.push(`title: ${yamlValue(post.title)}`);
-    lines.push(`slug: ${post.slug}`);
-    lines.push(`date: ${formatDate(post.published_at)}`);
-
-    if (post.updated_at && post.updated_at !== post.published_at) {
-        lines.push(`updated: ${formatDate(post.updated_at)}`);
-    }
-
-    if (authors.length > 0) {
-        if (authors.length === 1) {
-            lines.push(`author: ${yamlValue(authors[0])}`);
-        } else {
-            lines.push('authors:');
-            authors.forEach(a => lines.push(`  - ${yamlValue(a)}`));
-        }
-    }
-
-    if (tags.length > 0) {
-        lines.push('tags:');
-        tags.forEach(t => lines.push(`  - ${yamlValue(t)}`));
-    }
-
-    const excerpt = post.custom_excerpt || post.plaintext?.substring(0, 160).trim() || '';
-    if (excerpt) {
-        lines.push(`excerpt: ${yamlValue(excerpt)}`);
-    }
-
-    const featureImage = normalizeImageUrl(post.feature_image);
-    if (featureImage) {
-        lines.push(`feature_image: ${yamlValue(featureImage)}`);
-    }
-
-    if (post.canonical_url) {
-        lines.push(`canonical_url: ${yamlValue(post.canonical_url)}`);
-    }
-
-    lines.push('---');
-    return lines.join('\n');
+const mergePostsMeta = (data) => {
+    const metaByPost = new Map((data.posts_meta || []).map(meta => [meta.post_id, meta]));
+    data.posts = data.posts.map(post => {
+        const meta = metaByPost.get(post.id);
+        if (!meta) return post;
+        const { id, post_id, ...fields } = meta;
+        const merged = { ...post };
+        Object.entries(fields).forEach(([key, value]) => {
+            if (merged[key] === null || merged[key] === undefined) merged[key] = value;
+        });
+        return merged;
+    });
 };
 
 // --- Main Execution ---
@@ -231,73 +203,76 @@ const generateFrontmatter = (post, tags, authors) => {
     const timerStart = Date.now();
     console.log('📝 Ghost → Markdown Export');
 
-    let data = null;
-    let dataSource = '';
-
-    // 1. Attempt to connect to live MySQL database
-    console.log('🔍 Attempting connection to live MySQL database...');
+    // 1. Load the content from the requested source (no fallback: a stale backup must not slip through)
+    const statuses = ['published', ...(args.drafts ? ['draft'] : []), ...(args.scheduled ? ['scheduled'] : [])];
+    let data;
     try {
-        const mysql = require('mysql2/promise');
-        const connection = await mysql.createConnection({
-            ...CONFIG.db,
-            connectTimeout: 2000, // 2 seconds timeout
-        });
-
-        console.log('   🔌 Connected successfully to local MySQL database.');
-
-        // Fetch all required tables
-        const [posts] = await connection.query('SELECT * FROM posts');
-        const [tags] = await connection.query('SELECT * FROM tags');
-        const [users] = await connection.query('SELECT * FROM users');
-        const [posts_tags] = await connection.query('SELECT * FROM posts_tags');
-        const [posts_authors] = await connection.query('SELECT * FROM posts_authors');
-
-        await connection.end();
-
-        data = { posts, tags, users, posts_tags, posts_authors };
-        dataSource = 'Live MySQL Database';
-    } catch (dbError) {
-        console.warn(`   ⚠️  Could not connect to live database (${dbError.message}).`);
-        console.log('   🔄 Falling back to reading JSON export files from disk...');
-
-        // 2. Fallback to latest export file
-        const exportFile = findLatestExport(CONFIG.ghostDataDir);
-
-        if (!exportFile) {
-            console.error('❌ No Ghost JSON export files found in ghost/content/data/ and live database is offline.');
-            console.error('   Please make sure your Ghost docker containers are running or export your content from the Ghost Admin panel.');
-            process.exit(1);
+        const source = createSource(args.source, CONFIG.sources);
+        const unavailable = source.statuses ? statuses.filter(status => !source.statuses.includes(status)) : [];
+        if (unavailable.length > 0) {
+            throw new Error(`the ${source.label} only returns ${source.statuses.join(', ')} entries, not ${unavailable.join(' or ')} (set GHOST_ADMIN_API_KEY)`);
         }
-
-        console.log(`   📄 Using export file: ${path.basename(exportFile)}`);
-        const rawData = JSON.parse(fs.readFileSync(exportFile, 'utf8'));
-        data = rawData.data;
-        dataSource = `JSON Export File (${path.basename(exportFile)})`;
+        console.log(`🔍 Reading from ${source.label}...`);
+        data = await source.load();
+    } catch (e) {
+        console.error(`❌ Error: Could not read from the ${args.source} source: ${e.message}`);
+        if (args.source === 'mysql') {
+            console.error('   Start Ghost with `npm run start`, or choose another source with --source json|api.');
+        }
+        process.exit(1);
     }
 
-    console.log(`   🌐 Source: ${dataSource}`);
     console.log(`   ${data.posts.length} total entries found`);
 
-    // 3. Build lookups
-    const { postTags, postAuthors } = buildLookups(data);
-
-    // 4. Filter to published posts only
-    const posts = data.posts.filter(p => p.type === 'post' && p.status === 'published');
-    console.log(`   📰 ${posts.length} published posts to export`);
+    // 2. Build lookups
+    mergePostsMeta(data);
+    const lookups = buildLookups(data);
+    const { postTags, postAuthors } = lookups;
+
+    // 3. Filter by type, status, tag, author, date and slug
+    const filter = createFilter({
+        statuses,
+        pages: args.pages,
+        tags: args.tag,
+        authors: args.author,
+        from: args.from,
+        until: args.until,
+        slugs: args.slug,
+    }, lookups);
+    const posts = data.posts.filter(filter);
+    const counts = statuses.map(status => `${posts.filter(p => p.status === status).length} ${status}`);
+    const pageCount = posts.filter(p => p.type === 'page').length;
+    console.log(`   📰 ${posts.length} entries to export (${counts.join(', ')}${args.pages ? `; ${pageCount} pages` : ''})`);
 
     if (posts.length === 0) {
-        console.log('⚠️  No published posts found. Nothing to export.');
+        console.log('⚠️  No posts match. Nothing to export.');
         process.exit(0);
     }
 
-    // 5. Prepare export directory
+    // 4. Prepare export directory
     fs.emptyDirSync(CONFIG.exportDir);
-    console.log(`   📁 Output: ${CONFIG.exportDir}`);
-
-    // 6. Initialize Turndown
-    const turndown = createTurndownService();
+    const profile = PROFILES[args.profile];
+    console.log(`   📁 Output: ${CONFIG.exportDir} (${args.profile}: ${profile.description})`);
+
+    // 5. Initialize Turndown, the link rewriter (and the image bundler)
+    const turndown = createTurndownService(profile);
+    const cheerio = await import('cheerio');
+    const linkRewriter = createLinkRewriter({
+        files: new Map(posts.map(post => [post.slug, profile.file(post)])),
+        slugs: new Set(data.posts.map(post => post.slug)),
+        siteUrls: [CONFIG.ghostUrl, CONFIG.deployUrl],
+        wikilinks: args.wikilinks,
+    });
+    const brokenLinks = [];
+    let linkCount = 0;
+    const imageLocalizer = args.images && createImageLocalizer({
+        imagesDir: CONFIG.ghostImagesDir,
+        ghostUrl: CONFIG.ghostUrl,
+        siteUrls: [CONFIG.deployUrl],
+    });
+    const unresolvedImages = [];
 
-    // 7. Convert and write each post
+    // 6. Convert and write each post
     console.log('✍️  Converting posts to Markdown...');
     let successCount = 0;
     let errorCount = 0;
@@ -307,22 +282,43 @@ const generateFrontmatter = (post, tags, authors) => {
             const tags = postTags.get(post.id) || [];
             const authors = postAuthors.get(post.id) || [];
 
-            // Generate frontmatter
-            const frontmatter = generateFrontmatter(post, tags, authors);
+            // Copy images into the post's bundle and point the HTML at the copies
+            let html = post.html || '';
+            let localized = new Map();
+            if (imageLocalizer) {
+                const result = await imageLocalizer.localizePost({
+                    cheerio,
+                    html,
+                    urls: [post.feature_image, post.og_image, post.twitter_image],
+                    file: profile.file(post),
+                    exportDir: CONFIG.exportDir,
+                });
+                html = result.html;
+                localized = result.localized;
+                result.unresolved.forEach(image => unresolvedImages.push({ slug: post.slug, image }));
+            }
+
+            // Point links to other exported entries at their Markdown files
+            const links = linkRewriter.rewritePost({ cheerio, html, file: profile.file(post) });
+            html = links.html;
+            linkCount += links.rewritten;
+            links.broken.forEach(link => brokenLinks.push({ slug: post.slug, ...link }));
+
+            // Generate frontmatter and output path for the selected profile
+            const normalizeUrl = (url) => localized.get(url) ?? normalizeImageUrl(url);
+            const { frontmatter, file } = renderPost(profile, post, { tags, authors, normalizeUrl, extras: args['seo-fields'] });
 
             // Normalize Ghost image URLs in HTML before conversion
-            let html = post.html || '';
             html = html.replace(/__GHOST_URL__/g, CONFIG.deployUrl || CONFIG.ghostUrl);
 
             // Convert HTML → Markdown
-            const markdown = turndown.turndown(html);
+            const markdown = turndown.turndown(protectHtmlCards(html));
 
             // Compose the full file content
             const fileContent = `${frontmatter}\n\n${markdown}\n`;
 
             // Write file
-            const filename = `${post.slug}.md`;
-            fs.writeFileSync(path.join(CONFIG.exportDir, filename), fileContent, 'utf8');
+            fs.outputFileSync(path.join(CONFIG.exportDir, file), fileContent, 'utf8');
 
             successCount++;
             process.stdout.write('.');
@@ -332,12 +328,25 @@ const generateFrontmatter = (post, tags, authors) => {
         }
     }
 
-    // 8. Summary
+    // 7. Summary
     const elapsed = ((Date.now() - timerStart) / 1000).toFixed(2);
     console.log(`\n\n🎉 EXPORT COMPLETE! (${elapsed}s)`);
-    console.log(`   ✅ ${successCount} posts exported to ${CONFIG.exportDir}`);
+    console.log(`   ✅ ${successCount} entries exported to ${CONFIG.exportDir}`);
     if (errorCount > 0) {
-        console.log(`   ❌ ${errorCount} posts failed`);
+        console.log(`   ❌ ${errorCount} entries failed`);
+    }
+    if (unresolvedImages.length > 0) {
+        console.log(`   ⚠️  ${unresolvedImages.length} images could not be found locally or on Ghost (links left unchanged):`);
+        unresolvedImages.forEach(({ slug, image }) => console.log(`      ${slug}: /content/images/${image}`));
+    }
+    if (linkCount > 0) {
+        console.log(`   🔗 ${linkCount} internal links rewritten to ${args.wikilinks ? 'wikilinks' : 'relative .md links'}`);
+    }
+    // Written even when empty, so scripts can rely on it
+    fs.outputJsonSync(path.join(CONFIG.exportDir, CONFIG.brokenLinksFile), brokenLinks, { spaces: 2 });
+    if (brokenLinks.length > 0) {
+        console.log(`   ⚠️  ${brokenLinks.length} internal links point at content that wasn't exported (left as URLs, see ${CONFIG.brokenLinksFile}):`);
+        brokenLinks.forEach(({ slug, href, reason }) => console.log(`      ${slug}: ${href} (${reason})`));
     }
     console.log(`\n💡 Tip: Your markdown files are in the ./export/ directory.`);
 })();
@@ -0,0 +1,92 @@
+// ghost-static.config.js — Build settings for deploy.js (a .json file works too)
+// Every option is optional; values from .env and command line flags take precedence.
+module.exports = {
+    // Theme preset for the base elementsToRemove: 'tailwind', 'casper', 'source' or null
+    preset: 'tailwind',
+
+    // Extra selectors removed on top of the preset's
+    // (CSS requires escaping ':' in class names: `lg\\:flex` inside a JS string)
+    elementsToRemove: [],
+
+    // HTML transform rules, applied in order after elementsToRemove (actions: remove, replace,
+    // setAttribute, removeAttribute, wrap, before, after, prepend, append, appendToHead)
+    // e.g. { action: 'setAttribute', selector: 'img', attributes: { loading: 'lazy' } }
+    transforms: [],
+
+    // Output directory, relative to this project
+    outDir: 'dist',
+
+    // Path the site is served from, e.g. '/blog' for a GitHub project site (null: DEPLOY_URL's path)
+    basePath: null,
+
+    // Crawl entry points, parallel requests and paths never crawled
+    crawlSeeds: ['/', '/404/', '/rss/', '/sitemap.xml'],
+    crawlConcurrency: 8,
+    crawlExclude: ['^/ghost/', '^/members/', '^/r/'],
+
+    // Pages mirrored for their body even though Ghost answers with an error status
+    errorPages: ['/404/'],
+
+    // Structural fixes applied after the crawl
+    moves: [
+        { src: '404/index.html', dest: '404.html' },
+    ],
+
+    // Cache-busters stripped from asset URLs in HTML ($1 keeps the extension)
+    cacheBusterPattern: /((?:\.css|\.js|\.png|\.jpg|\.svg|\.webp))([?@][^"'\s>]*)/g,
+
+    // Broken references tolerated before the build fails
+    verifyMaxErrors: 0,
+
+    // Static search index and UI
+    staticSearch: true,
+    searchBodyText: false,
+
+    // RSS, Atom and JSON feeds for the site, tags and authors (newest posts per feed)
+    feeds: true,
+    feedLimit: 15,
+
+    // Sitemaps generated from the output (paths matching sitemapExclude left out) and
+    // robots.txt: these rules plus the sitemap URL (null: no robots.txt)
+    sitemaps: true,
+    sitemapExclude: [],
+    robotsTxt: 'User-agent: *\nAllow: /',
+
+    // Responsive images: widths, modern formats and encoder quality per format
+    optimizeImages: true,
+    imageWidths: [400, 800, 1200, 2000],
+    imageFormats: ['avif', 'webp'],
+    imageQuality: { jpeg: 80, webp: 80, avif: 60 },
+
+    // Minify HTML/CSS/JS and give theme assets content-hashed filenames
+    minify: false,
+    hashAssets: false,
+
+    // SEO and accessibility audit: rule levels ('error' fails the build, 'warn', 'off'),
+    // pages to skip and the JSON report; e.g. seoRules: { 'img-alt': 'error', 'twitter-card': 'off' }
+    seoAudit: true,
+    seoRules: {},
+    seoExclude: [],
+    seoReportFile: 'seo-report.json',
+
+    // Report of the changes since the previous build, and the number of removed pages
+    // above which a deploy asks for confirmation (null: never ask)
+    reportFile: 'build-report.md',
+    confirmRemovedPages: null,
+
+    // Build plugins: functions or module paths, optionally as [plugin, options]
+    // e.g. [['./plugins/humans.js', { team: 'Jane & John' }]]
+    plugins: [],
+
+    // Webhook listener of `npm run watch` (the secret is WEBHOOK_SECRET in .env) and the
+    // seconds it waits for more webhooks before a run
+    webhookHost: '0.0.0.0',
+    webhookPort: 2369,
+    webhookDebounce: 10,
+    webhookHistory: 20,
+
+    // Named environments built with --env <name> into dist-<name> (reports: build-report-<name>.md,
+    // seo-report-<name>.json), each overriding any option above
+    // e.g. { staging: { deployUrl: 'https://org.github.io/blog-staging', transforms: [...] } }
+    environments: {},
+};
@@ -0,0 +1,171 @@
+// import-md.js — Turn a folder of Markdown files into a Ghost import file (the reverse of export-md.js)
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const { SOURCE_TYPES, createSource } = require('./lib/sources');
+const { readEntries, renderEntry } = require('./lib/import/markdown');
+const { buildImport } = require('./lib/import/ghost-json');
+
+// --- Command Line ---
+const USAGE = `Usage: node import-md.js [options] <dir>
+
+Reads every .md file below <dir> (frontmatter as written by export-md.js with the
+generic profile; files under pages/ are pages) and writes a Ghost import file for
+Settings → Import/Export → Universal import.
+
+Options:
+  -o, --out <file>      Import file to write (default: ghost-import.json)
+  -s, --source <type>   Ghost content to match against: mysql, json, api (see
+                        export-md.js) or none to import everything as new
+                        (default: mysql)
+  --file <path>         Export file for --source json
+  --api-url <url>       Ghost site for --source api (default: GHOST_URL)
+  --status <status>     Import every entry with this status: draft or published
+                        (default: the frontmatter's status, draft when missing)
+  -h, --help            Show this help
+
+Tags and authors are matched by name or slug and entries by slug against Ghost's
+content, so importing again reuses them. The import fails when the source is
+unavailable.`;
+
+let args;
+let dir;
+try {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o', default: 'ghost-import.json' },
+            source: { type: 'string', short: 's', default: 'mysql' },
+            file: { type: 'string' },
+            'api-url': { type: 'string' },
+            status: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    args = values;
+    if (!args.help) {
+        if (positionals.length !== 1) throw new Error('Expected exactly one directory of Markdown files');
+        if (args.source !== 'none' && !Object.hasOwn(SOURCE_TYPES, args.source)) {
+            throw new Error(`Unknown source "${args.source}" (expected one of ${[...Object.keys(SOURCE_TYPES), 'none'].join(', ')})`);
+        }
+        if (args.file && args.source !== 'json') throw new Error('--file needs --source json');
+        if (args['api-url'] && args.source !== 'api') throw new Error('--api-url needs --source api');
+        if (args.status && !['draft', 'published'].includes(args.status)) {
+            throw new Error(`Invalid status "${args.status}" (expected draft or published)`);
+        }
+        dir = path.resolve(positionals[0]);
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`${positionals[0]} is not a directory`);
+    }
+} catch (e) {
+    console.error(`❌ Error: ${e.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+// --- Configuration ---
+const CONFIG = {
+    outFile: path.resolve(args.out),
+    sources: {
+        mysql: {
+            host: '127.0.0.1',
+            port: Number(process.env.DB_PORT) || 13928,
+            user: process.env.DB_USER || 'ghost',
+            password: process.env.DB_PASSWORD,
+            database: process.env.DB_NAME || 'ghost',
+        },
+        json: {
+            file: args.file && path.resolve(args.file),
+            dataDir: path.resolve(__dirname, 'ghost/content/data'),
+        },
+        api: {
+            url: args['api-url'] || process.env.GHOST_URL,
+            adminKey: process.env.GHOST_ADMIN_API_KEY,
+            contentKey: process.env.GHOST_CONTENT_API_KEY,
+        },
+    },
+};
+
+// --- Main Execution ---
+(async () => {
+    const timerStart = Date.now();
+    console.log('📥 Markdown → Ghost Import');
+
+    // 1. Read the Markdown files
+    let errorCount = 0;
+    const entries = readEntries(dir, {
+        onError: (file, e) => {
+            errorCount++;
+            console.error(`   ❌ Skipping ${file}: ${e.message.split('\n')[0]}`);
+        },
+    });
+
+    // One entry per slug: Ghost's slugs are unique across posts and pages
+    const seen = new Map();
+    const unique = entries.filter(entry => {
+        if (seen.has(entry.slug)) {
+            errorCount++;
+            console.error(`   ❌ Skipping ${entry.file}: slug "${entry.slug}" is already used by ${seen.get(entry.slug)}`);
+            return false;
+        }
+        seen.set(entry.slug, entry.file);
+        return true;
+    });
+    console.log(`   📄 ${unique.length} Markdown files found in ${dir}`);
+
+    if (unique.length === 0) {
+        console.log('⚠️  Nothing to import.');
+        process.exit(errorCount > 0 ? 1 : 0);
+    }
+
+    // 2. Convert Markdown → HTML
+    const slugsByFile = new Map(unique.map(entry => [entry.file, entry.slug]));
+    const warnings = [];
+    unique.forEach(entry => {
+        if (args.status) {
+            entry.status = args.status;
+            if (args.status === 'draft') entry.publishedAt = null;
+        }
+        const { html, unresolvedLinks, localImages } = renderEntry(entry, slugsByFile);
+        entry.html = html;
+        unresolvedLinks.forEach(link => warnings.push(`${entry.file}: link to ${link} matches no imported file`));
+        localImages.forEach(image => warnings.push(`${entry.file}: local image ${image} must be uploaded in Ghost`));
+    });
+
+    // 3. Match against Ghost's content (unless --source none) and build the import file
+    let existing = null;
+    if (args.source === 'none') {
+        console.log('   ⚠️  Not matching against Ghost: every entry, tag and author is imported as new.');
+    } else {
+        try {
+            const source = createSource(args.source, CONFIG.sources);
+            console.log(`   🔍 Matching against ${source.label}`);
+            existing = await source.load();
+        } catch (e) {
+            console.error(`❌ Error: Could not read from the ${args.source} source: ${e.message}`);
+            console.error('   Choose another source with --source json|api, or --source none to import everything as new.');
+            process.exit(1);
+        }
+    }
+    const { file, stats } = buildImport(unique, existing);
+    fs.outputJsonSync(CONFIG.outFile, file, { spaces: 2 });
+
+    // 4. Summary
+    const elapsed = ((Date.now() - timerStart) / 1000).toFixed(2);
+    console.log(`\n🎉 IMPORT FILE READY! (${elapsed}s)`);
+    console.log(`   ✅ ${unique.length} entries (${stats.created} new, ${stats.updated} replacing existing slugs) → ${CONFIG.outFile}`);
+    if (stats.newTags.length > 0) console.log(`   🏷️  New tags: ${stats.newTags.join(', ')}`);
+    if (stats.newUsers.length > 0) {
+        console.log(`   👤 New authors (placeholder emails, change them in Ghost): ${stats.newUsers.join(', ')}`);
+    }
+    if (errorCount > 0) console.log(`   ❌ ${errorCount} files skipped`);
+    if (warnings.length > 0) {
+        console.log(`   ⚠️  ${warnings.length} warnings:`);
+        warnings.forEach(warning => console.log(`      ${warning}`));
+    }
+    console.log('\n💡 Tip: Upload the file in Ghost Admin → Settings → Advanced → Import/Export → Universal import.');
+})();
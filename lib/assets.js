@@ -0,0 +1,199 @@
+// lib/assets.js — HTML/CSS/JS minification and content-hashed theme asset filenames
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { escapeRegExp, getFiles } = require('./utils');
+
+// Theme assets (/assets/) and Ghost's card scripts and styles (/public/) get hashed names
+const HASHED_DIRS = ['assets', 'public'];
+const ASSET_MANIFEST_VERSION = 1;
+
+const toPosix = (p) => p.split(path.sep).join('/');
+const relative = (distDir, file) => toPosix(path.relative(distDir, file));
+
+// --- Minification ---
+
+const HTML_OPTIONS = {
+    collapseWhitespace: true,
+    conservativeCollapse: true,
+    removeComments: true,
+    minifyCSS: true,
+    minifyJS: true,
+};
+
+/**
+ * Minify every HTML, CSS and JS file in `files`. Already minified scripts and
+ * styles (*.min.js, *.min.css) are left alone; a file that fails to parse is
+ * kept as it is and reported through `onError`.
+ */
+const minifyFiles = async (files, { onError = () => {} } = {}) => {
+    const { minify: minifyHtml } = require('html-minifier-terser');
+    const { minify: minifyJs } = require('terser');
+    const CleanCSS = require('clean-css');
+    const cleanCss = new CleanCSS({ level: 1, rebase: false, returnPromise: false });
+
+    const stats = { files: 0, before: 0, after: 0 };
+    for (const file of files) {
+        if (/\.min\.(?:css|js)$/.test(file)) continue;
+        const source = fs.readFileSync(file, 'utf8');
+        // RSS feeds are saved as rss/index.html; the HTML minifier would break their XML
+        if (file.endsWith('.html') && /^\s*<\?xml/.test(source)) continue;
+        let output;
+        try {
+            if (file.endsWith('.html')) {
+                output = await minifyHtml(source, HTML_OPTIONS);
+            } else if (file.endsWith('.css')) {
+                const result = cleanCss.minify(source);
+                if (result.errors.length > 0) throw new Error(result.errors[0]);
+                output = result.styles;
+            } else if (file.endsWith('.js')) {
+                output = (await minifyJs(source, { compress: true, mangle: true })).code;
+            } else {
+                continue;
+            }
+        } catch (e) {
+            onError(file, e);
+            continue;
+        }
+        fs.writeFileSync(file, output, 'utf8');
+        stats.files++;
+        stats.before += Buffer.byteLength(source);
+        stats.after += Buffer.byteLength(output);
+    }
+    return stats;
+};
+
+// --- Hashing ---
+
+const hashedName = (rel, content) => {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+    const { dir, name, ext } = path.posix.parse(rel);
+    return path.posix.join(dir, `${name}.${hash}${ext}`);
+};
+
+/**
+ * Replace root-relative (and absolute) references to renamed files: /assets/x.css → /assets/x.<hash>.css
+ */
+const rewriteRootRefs = (content, renames) => {
+    if (renames.size === 0) return content;
+    const paths = [...renames.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const pattern = new RegExp(`/(${paths.join('|')})(?=[?#"'\\s)>,\\\\]|$)`, 'g');
+    return content.replace(pattern, (match, rel) => `/${renames.get(rel)}`);
+};
+
+/**
+ * Replace url() and @import references in a stylesheet, including relative ones (../fonts/x.woff2).
+ * Root-relative references may carry the site's basePath (/blog/assets/x.woff2).
+ */
+const rewriteCssRefs = (css, cssRel, renames, basePath = '') => {
+    const base = `http://static.local/${cssRel}`;
+    const rewrite = (ref) => {
+        if (/^(?:data:|#)/.test(ref)) return ref;
+        let url;
+        try {
+            url = new URL(ref, base);
+        } catch (e) {
+            return ref;
+        }
+        if (url.origin !== 'http://static.local') return ref;
+        const prefixed = basePath && ref.startsWith(`${basePath}/`);
+        const pathname = prefixed ? url.pathname.slice(basePath.length) : url.pathname;
+        const target = renames.get(decodeURIComponent(pathname.slice(1)));
+        if (!target) return ref;
+        const suffix = ref.match(/[?#].*$/)?.[0] || '';
+        return ref.startsWith('/')
+            ? `${prefixed ? basePath : ''}/${target}${suffix}`
+            : `${path.posix.relative(path.posix.dirname(cssRel), target)}${suffix}`;
+    };
+
+    return css
+        .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, ref) => `url(${quote}${rewrite(ref.trim())}${quote})`)
+        .replace(/@import\s+(['"])([^'"]+)\1/g, (match, quote, ref) => `@import ${quote}${rewrite(ref)}${quote}`);
+};
+
+/**
+ * Load the asset manifest of the previous build ({ version, assets: original → hashed }).
+ */
+const loadAssetManifest = (file) => {
+    if (!fs.existsSync(file)) return {};
+    const manifest = fs.readJsonSync(file);
+    return manifest.version === ASSET_MANIFEST_VERSION ? manifest.assets : {};
+};
+
+/**
+ * Rename every file under the hashed directories to a content-hashed name and
+ * rewrite the references in HTML, CSS, JS and XML files.
+ *
+ * Fonts and images are hashed first, then scripts, then stylesheets, so a file's
+ * hash covers the already-rewritten references it contains. An asset that was
+ * not fetched again (incremental build) keeps last build's hashed file; one that
+ * was fetched again replaces it. References to last build's names are updated too.
+ * `basePath` is the site's base path, if its references carry one already.
+ */
+const hashAssets = ({ distDir, previous = {}, basePath = '' }) => {
+    const assets = {};
+    const renames = new Map();
+    const previousHashed = new Set(Object.values(previous));
+
+    // Carry over hashed files whose original wasn't fetched again
+    Object.entries(previous).forEach(([original, hashed]) => {
+        const originalExists = fs.existsSync(path.join(distDir, original));
+        const hashedExists = fs.existsSync(path.join(distDir, hashed));
+        if (!originalExists && hashedExists) assets[original] = hashed;
+    });
+
+    const files = HASHED_DIRS
+        .flatMap(dir => getFiles(path.join(distDir, dir)))
+        .map(file => relative(distDir, file))
+        .filter(rel => !previousHashed.has(rel));
+    const rank = (rel) => (rel.endsWith('.css') ? 2 : rel.endsWith('.js') ? 1 : 0);
+    files.sort((a, b) => rank(a) - rank(b));
+
+    files.forEach(rel => {
+        const file = path.join(distDir, rel);
+        if (rank(rel) > 0) {
+            const source = fs.readFileSync(file, 'utf8');
+            const rewritten = rel.endsWith('.css')
+                ? rewriteCssRefs(source, rel, new Map(Object.entries(assets)), basePath)
+                : rewriteRootRefs(source, new Map(Object.entries(assets)));
+            if (rewritten !== source) fs.writeFileSync(file, rewritten, 'utf8');
+        }
+        const hashed = hashedName(rel, fs.readFileSync(file));
+        fs.moveSync(file, path.join(distDir, hashed), { overwrite: true });
+        assets[rel] = hashed;
+    });
+
+    // Last build's hashed files that were replaced or whose asset is gone
+    const current = new Set(Object.values(assets));
+    previousHashed.forEach(hashed => {
+        if (!current.has(hashed)) fs.removeSync(path.join(distDir, hashed));
+    });
+
+    // References may use the original name or last build's hashed name
+    Object.entries(assets).forEach(([original, hashed]) => renames.set(original, hashed));
+    Object.entries(previous).forEach(([original, hashed]) => {
+        if (assets[original] && assets[original] !== hashed) renames.set(hashed, assets[original]);
+    });
+
+    const pages = [...getFiles(distDir, '.html'), ...getFiles(distDir, '.xml'), ...getFiles(distDir, '.js'), ...getFiles(distDir, '.css')]
+        .filter(file => !current.has(relative(distDir, file)));
+    pages.forEach(file => {
+        const content = fs.readFileSync(file, 'utf8');
+        const rewritten = file.endsWith('.css')
+            ? rewriteCssRefs(content, relative(distDir, file), renames, basePath)
+            : rewriteRootRefs(content, renames);
+        if (rewritten !== content) fs.writeFileSync(file, rewritten, 'utf8');
+    });
+
+    return { assets, renamed: files.length };
+};
+
+/**
+ * Write the asset manifest (original path → hashed path) into distDir.
+ */
+const writeAssetManifest = (file, assets) => {
+    const sorted = Object.fromEntries(Object.entries(assets).sort(([a], [b]) => a.localeCompare(b)));
+    fs.outputJsonSync(file, { version: ASSET_MANIFEST_VERSION, generatedAt: new Date().toISOString(), assets: sorted }, { spaces: 2 });
+};
+
+module.exports = { minifyFiles, hashAssets, loadAssetManifest, writeAssetManifest, rewriteCssRefs, rewriteRootRefs };
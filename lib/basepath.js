@@ -0,0 +1,155 @@
+// lib/basepath.js — Serve the site from a subpath (e.g. https://org.github.io/blog/): prefix its URLs with the base path
+const fs = require('fs-extra');
+const path = require('path');
+const { escapeRegExp, getFiles } = require('./utils');
+
+// data-index: the search index the static search script loads (lib/search.js)
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'data', 'data-src', 'data-index', 'xlink:href'];
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'imagesrcset'];
+
+/**
+ * Normalize a base path: '' for the domain root, else '/blog' (leading slash, no trailing one).
+ */
+const normalizeBasePath = (basePath) => {
+    const trimmed = (basePath || '').replace(/^\/+|\/+$/g, '');
+    return trimmed ? `/${trimmed}` : '';
+};
+
+/**
+ * Create the URL rewriters for one build.
+ *
+ * Only paths that belong to the site are prefixed: the root itself and paths
+ * whose first segment is one of `roots` (the names at the top of distDir), so
+ * links to other sites on the same origin are left alone. Paths that already
+ * start with the base path are kept, which makes rewriting files reused from
+ * the previous build safe.
+ */
+const createPrefixer = ({ basePath, origin, roots }) => {
+    const segment = (pathname) => {
+        const first = pathname.split('/')[1] || '';
+        try {
+            return decodeURIComponent(first);
+        } catch (e) {
+            return first;
+        }
+    };
+    const isPrefixed = (ref) => ref === basePath || ref.startsWith(`${basePath}/`) || ref.startsWith(`${basePath}?`) || ref.startsWith(`${basePath}#`);
+
+    /**
+     * Prefix a root-relative path; `bare` also allows the site root (/) itself,
+     * `all` any path (for files that only list the site's own URLs).
+     */
+    const prefixPath = (ref, { bare = true, all = false } = {}) => {
+        if (!ref.startsWith('/') || ref.startsWith('//') || isPrefixed(ref)) return ref;
+        const pathname = ref.split(/[?#]/)[0];
+        const first = segment(pathname);
+        if (!all && (first ? !roots.has(first) : !bare)) return ref;
+        return `${basePath}${ref}`;
+    };
+
+    const originPattern = new RegExp(`${escapeRegExp(origin)}(?![\\w.:-])(/[^\\s"'<>()\\\\]*)?`, 'g');
+
+    /**
+     * Prefix every absolute URL on the site's origin inside a text.
+     */
+    const prefixAbsolute = (text, options) => text.replace(originPattern, (match, pathname = '/') => `${origin}${prefixPath(pathname, options)}`);
+
+    /**
+     * Prefix a URL attribute value: absolute on the site's origin, or root-relative.
+     */
+    const prefixUrl = (ref) => {
+        const trimmed = ref.trim();
+        return trimmed.startsWith('/') && !trimmed.startsWith('//') ? prefixPath(trimmed) : prefixAbsolute(ref);
+    };
+
+    /**
+     * Scripts and JSON: absolute URLs plus quoted root-relative paths into the site
+     * ("/assets/app.js"). A bare "/" is left alone: in code it's rarely a URL.
+     */
+    const prefixScript = (text) => prefixAbsolute(text)
+        .replace(/(["'`])(\/[^"'`\s\\]*)\1/g, (match, quote, ref) => `${quote}${prefixPath(ref, { bare: false })}${quote}`);
+
+    /**
+     * Stylesheets: url() and @import references.
+     */
+    const prefixCss = (css) => prefixAbsolute(css)
+        .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, ref) => `url(${quote}${prefixPath(ref.trim())}${quote})`)
+        .replace(/@import\s+(['"])([^'"]+)\1/g, (match, quote, ref) => `@import ${quote}${prefixPath(ref)}${quote}`);
+
+    /**
+     * HTML: URL and srcset attributes, meta refresh, inline styles, <style> and <script>.
+     */
+    const prefixHtml = (cheerio, html) => {
+        const $ = cheerio.load(html);
+        URL_ATTRIBUTES.forEach(name => {
+            $(`[${name.replace(':', '\\:')}]`).each((_, el) => {
+                $(el).attr(name, prefixUrl($(el).attr(name)));
+            });
+        });
+        SRCSET_ATTRIBUTES.forEach(name => {
+            $(`[${name}]`).each((_, el) => {
+                const candidates = $(el).attr(name).split(',').map(candidate => candidate.replace(/^(\s*)(\S+)/, (m, space, ref) => `${space}${prefixUrl(ref)}`));
+                $(el).attr(name, candidates.join(','));
+            });
+        });
+        $('meta[content]').each((_, el) => {
+            const content = $(el).attr('content');
+            const refresh = content.match(/^(\s*\d+\s*;\s*url\s*=\s*)(.+)$/i);
+            $(el).attr('content', refresh ? `${refresh[1]}${prefixUrl(refresh[2])}` : prefixAbsolute(content));
+        });
+        $('[style]').each((_, el) => {
+            $(el).attr('style', prefixCss($(el).attr('style')));
+        });
+        $('style').each((_, el) => {
+            $(el).text(prefixCss($(el).text()));
+        });
+        $('script:not([src])').each((_, el) => {
+            $(el).text(prefixScript($(el).html()));
+        });
+        return $.html();
+    };
+
+    return { prefixPath, prefixUrl, prefixAbsolute, prefixScript, prefixCss, prefixHtml };
+};
+
+/**
+ * Prefix the URLs of every file in distDir with basePath. `origin` is the
+ * deploy URL's origin (absolute URLs on it are rewritten too); `exclude` lists
+ * build metadata. Returns the number of files changed.
+ */
+const applyBasePath = ({ cheerio, distDir, basePath, origin, exclude = [] }) => {
+    const roots = new Set(fs.readdirSync(distDir));
+    const prefixer = createPrefixer({ basePath, origin, roots });
+    let changed = 0;
+
+    getFiles(distDir).forEach(file => {
+        const rel = path.relative(distDir, file).split(path.sep).join('/');
+        if (exclude.includes(rel)) return;
+        const ext = path.extname(file).toLowerCase();
+        let rewrite;
+        if (ext === '.html') {
+            // RSS feeds are saved as rss/index.html
+            rewrite = (content) => (/^\s*<\?xml/.test(content) ? prefixer.prefixAbsolute(content) : prefixer.prefixHtml(cheerio, content));
+        } else if (ext === '.css') {
+            rewrite = prefixer.prefixCss;
+        } else if (['.js', '.mjs', '.json', '.webmanifest'].includes(ext)) {
+            rewrite = prefixer.prefixScript;
+        } else if (/^sitemap.*\.xml$/.test(rel)) {
+            // Sitemaps list nothing but the site's pages, including ones still missing from distDir
+            rewrite = (content) => prefixer.prefixAbsolute(content, { all: true });
+        } else if (['.xml', '.txt', '.xsl'].includes(ext)) {
+            rewrite = (content) => prefixer.prefixAbsolute(content);
+        } else {
+            return;
+        }
+        const content = fs.readFileSync(file, 'utf8');
+        const rewritten = rewrite(content);
+        if (rewritten !== content) {
+            fs.writeFileSync(file, rewritten, 'utf8');
+            changed++;
+        }
+    });
+    return changed;
+};
+
+module.exports = { normalizeBasePath, createPrefixer, applyBasePath };
@@ -0,0 +1,175 @@
+// lib/build/index.js — Programmatic build: stages, lifecycle hooks, events and plugins
+const EventEmitter = require('events');
+const path = require('path');
+const { resolveConfig } = require('../config');
+const { createTarget } = require('../targets');
+const { writeSnapshot } = require('../report');
+const { STAGES } = require('./stages');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+
+/**
+ * Load the `plugins` option: functions, or module paths relative to rootDir,
+ * each optionally as [plugin, options]. Returns [plugin function, options] pairs.
+ */
+const loadPlugins = (plugins, rootDir) => plugins.map(entry => {
+    const [plugin, options = {}] = Array.isArray(entry) ? entry : [entry];
+    if (typeof plugin === 'function') return [plugin, options];
+    const file = plugin.startsWith('.') || path.isAbsolute(plugin) ? path.resolve(rootDir, plugin) : plugin;
+    const loaded = require(require.resolve(file, { paths: [rootDir] }));
+    if (typeof loaded !== 'function') throw new Error(`Plugin ${plugin} does not export a function`);
+    return [loaded, options];
+});
+
+/**
+ * Create a build.
+ *
+ * Options: `rootDir` (project root, default: this repository), `configPath`,
+ * `env` and `cli` (config overrides, see lib/config.js), `environment` (one
+ * of the config's environments, built into its own directory), the run modes
+ * `buildOnly`, `dryRun`, `fullBuild` and `verbose`, and `confirm(question)`,
+ * which decides whether a deploy that removes more than confirmRemovedPages
+ * pages goes ahead (default: it doesn't).
+ *
+ * The build runs its stages in order on one shared context ({ config, target,
+ * cheerio, replaceInFile, ... } plus what each stage leaves on it). It emits
+ * `stage:start`, `stage:end` and `stage:skip` ({ stage, context, duration })
+ * and `done` ({ context, duration }). Plugins from the config are called with
+ * (build, options) and can register hooks, listeners and stages.
+ */
+const createBuild = ({
+    rootDir = ROOT_DIR,
+    configPath,
+    env = {},
+    cli = {},
+    environment = null,
+    buildOnly = false,
+    dryRun = false,
+    fullBuild = false,
+    verbose = false,
+    confirm = async () => false,
+} = {}) => {
+    const config = resolveConfig({ rootDir, configPath, env, cli, environment });
+    Object.assign(config, {
+        buildOnly,
+        dryRun,
+        // fullBuild: ignore the manifest, empty dist and crawl everything again
+        fullBuild,
+        verbose,
+        // Crawl graph (referrers + status codes per URL), written into distDir
+        crawlGraphFile: 'crawl-graph.json',
+        // Manifest of the last build, used to refetch only what changed
+        manifestFile: path.join(config.distDir, 'build-manifest.json'),
+        // Original → content-hashed asset names, written into distDir when hashAssets is on
+        assetManifestFile: 'asset-manifest.json',
+        searchFiles: { indexFile: 'search-index.json', scriptFile: 'search.js' },
+        // Slug changes detected across builds (kept outside distDir so a full build keeps them)
+        slugRedirectsFile: path.join(rootDir, environment ? `slug-redirects-${environment}.json` : 'slug-redirects.json'),
+        // Pages and asset sizes of the last build, compared with the next one for the build report
+        snapshotFile: path.join(rootDir, '.cache', environment ? `build-snapshot-${environment}.json` : 'build-snapshot.json'),
+    });
+    // Build metadata stays local; every other file in distDir is published
+    config.buildFiles = [config.crawlGraphFile, path.basename(config.manifestFile), config.assetManifestFile];
+
+    if (!buildOnly && !config.deployUrl) {
+        throw new Error('DEPLOY_URL is missing (set it in .env or pass --deploy-url).');
+    }
+    const target = buildOnly ? null : createTarget(config.deployTarget, config.deployTargets, {
+        rootDir,
+        deployUrl: config.deployUrl,
+        basePath: config.basePath,
+        exclude: config.buildFiles,
+        assetManifestFile: config.assetManifestFile,
+    });
+
+    const events = new EventEmitter();
+    const stages = STAGES.map(stage => ({ ...stage }));
+    const hooks = { before: new Map(), after: new Map() };
+
+    const findStage = (name) => {
+        const index = stages.findIndex(stage => stage.name === name);
+        if (index === -1) throw new Error(`Unknown build stage "${name}" (stages: ${stages.map(stage => stage.name).join(', ')})`);
+        return index;
+    };
+
+    const addHook = (when, name, hook) => {
+        findStage(name);
+        if (!hooks[when].has(name)) hooks[when].set(name, []);
+        hooks[when].get(name).push(hook);
+        return build;
+    };
+
+    const build = {
+        config,
+        target,
+
+        // Names of the stages, in the order they run
+        stages: () => stages.map(stage => stage.name),
+
+        on: (event, listener) => {
+            events.on(event, listener);
+            return build;
+        },
+
+        // Run `hook(context)` right before or after a stage (only when the stage runs)
+        before: (name, hook) => addHook('before', name, hook),
+        after: (name, hook) => addHook('after', name, hook),
+
+        /**
+         * Add a stage { name, run(context), enabled?(context) } before or after
+         * an existing one (default: before verify, so its output is checked).
+         */
+        addStage: ({ name, run, enabled, before, after }) => {
+            if (!name || typeof run !== 'function') throw new Error('A build stage needs a name and a run function');
+            if (stages.some(stage => stage.name === name)) throw new Error(`Build stage "${name}" already exists`);
+            const index = after ? findStage(after) + 1 : findStage(before || 'verify');
+            stages.splice(index, 0, { name, run, enabled });
+            return build;
+        },
+
+        /**
+         * Run every stage; resolves with the context, rejects with the first
+         * failing stage's or hook's error. A build that completes (and isn't a
+         * dry run) becomes the previous build for the next build report.
+         */
+        run: async () => {
+            // Dynamic import for ESM packages
+            const { replaceInFile } = await import('replace-in-file');
+            const cheerio = await import('cheerio');
+            const startedAt = Date.now();
+            const context = {
+                config,
+                target,
+                cheerio,
+                replaceInFile,
+                confirm,
+                startedAt,
+                verbose: (...messages) => {
+                    if (config.verbose) console.log(...messages);
+                },
+            };
+
+            for (const stage of stages) {
+                if (stage.enabled && !stage.enabled(context)) {
+                    events.emit('stage:skip', { stage: stage.name, context });
+                    continue;
+                }
+                const stageStart = Date.now();
+                events.emit('stage:start', { stage: stage.name, context });
+                for (const hook of hooks.before.get(stage.name) || []) await hook(context);
+                await stage.run(context);
+                for (const hook of hooks.after.get(stage.name) || []) await hook(context);
+                events.emit('stage:end', { stage: stage.name, context, duration: Date.now() - stageStart });
+            }
+
+            if (context.snapshot && !config.dryRun) writeSnapshot(config.snapshotFile, context.snapshot);
+            events.emit('done', { context, duration: Date.now() - startedAt });
+            return context;
+        },
+    };
+
+    loadPlugins(config.plugins, rootDir).forEach(([plugin, options]) => plugin(build, options));
+    return build;
+};
+
+module.exports = { STAGES, createBuild };
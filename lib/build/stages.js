@@ -0,0 +1,577 @@
+// lib/build/stages.js — The build pipeline, one stage per step, sharing a build context
+const fs = require('fs-extra');
+const path = require('path');
+const { printPlan } = require('../targets');
+const { GH_PAGES_FILES } = require('../targets/gh-pages');
+const { crawlSite, writeCrawlGraph } = require('../crawler');
+const { escapeRegExp, getFiles } = require('../utils');
+const { verifyDist, countIssues, printReport } = require('../verify');
+const { buildSearchIndex, writeSearchAssets, injectSearch } = require('../search');
+const { buildFeeds, injectFeedLinks, isXmlFeed } = require('../feeds');
+const { isSitemapFile, collectSitemapPages, writeSitemaps, writeRobots } = require('../sitemaps');
+const { applyRules, pagePath } = require('../transforms');
+const { loadGhostRedirects, loadSlugRedirects, detectSlugChanges, expandRedirects, writeRedirects } = require('../redirects');
+const { optimizeImages, rewriteHtml, rewriteVariantRefs, removeVariants } = require('../images');
+const { minifyFiles, hashAssets, loadAssetManifest, writeAssetManifest } = require('../assets');
+const { applyBasePath } = require('../basepath');
+const { auditPages, applyLevels, buildAuditReport, printAudit } = require('../seo');
+const { snapshotDist, loadSnapshot, diffSnapshots, summarizeReport, formatReport } = require('../report');
+const { loadManifest, writeManifest, readSitemapLastmods, isListingPage, withPagination } = require('../manifest');
+
+// A fetch that failed on Ghost's side (down, timeout, 5xx), as opposed to a page that's gone
+const isFetchFailure = (node) => node.status === 0 || node.status >= 500;
+
+/**
+ * Mirror Ghost into distDir: a full crawl, or an incremental one driven by the
+ * sitemaps' lastmod values. Leaves `graph`, `lastmods` and `fetched` (the files
+ * downloaded by this build, as opposed to reused ones) on the context and writes
+ * the build manifest (URL → content hash, lastmod, version and refs).
+ */
+const mirror = async (ctx) => {
+    const { config, cheerio } = ctx;
+    const manifest = config.fullBuild ? null : loadManifest(config.manifestFile, config.ghostUrl);
+    const crawlOptions = {
+        cheerio,
+        ghostUrl: config.ghostUrl,
+        distDir: config.distDir,
+        concurrency: config.crawlConcurrency,
+        exclude: config.crawlExclude,
+        errorPages: config.errorPages,
+        onFetched: (url, node) => (config.verbose
+            ? console.log(`   ${node.status} ${url}`)
+            : process.stdout.write('.')),
+    };
+
+    let graph;
+    let lastmods;
+    let removed = [];
+
+    if (!manifest) {
+        console.log('🧹 Cleaning dist & Crawling Content...');
+        fs.emptyDirSync(config.distDir);
+        graph = await crawlSite({ ...crawlOptions, seeds: config.crawlSeeds });
+        lastmods = readSitemapLastmods(cheerio, config.distDir);
+    } else {
+        const previous = manifest.urls;
+
+        // Refresh the sitemaps and compare their lastmod values with the manifest (the last
+        // build's are gone first: they may have been generated rather than Ghost's)
+        console.log('♻️  Incremental build: checking sitemaps for changes...');
+        fs.readdirSync(config.distDir).filter(isSitemapFile).forEach(name => fs.removeSync(path.join(config.distDir, name)));
+        graph = await crawlSite({
+            ...crawlOptions,
+            seeds: ['/sitemap.xml'],
+            exclude: [...config.crawlExclude, /^(?!\/sitemap[^/]*\.xml$)/],
+        });
+        // Without the sitemaps every post would look removed: stop rather than delete them
+        const failed = [...graph].filter(([, node]) => isFetchFailure(node));
+        if (failed.length > 0) {
+            const [url, node] = failed[0];
+            throw new Error(`Incremental build aborted: could not fetch ${url} (${node.error || `HTTP ${node.status}`}). Is Ghost running at ${config.ghostUrl}?`);
+        }
+        lastmods = readSitemapLastmods(cheerio, config.distDir);
+        const changed = [...lastmods.keys()].filter(url => previous[url]?.lastmod !== lastmods.get(url));
+        // No sitemap listing anything (e.g. Ghost served none) says nothing about removed posts
+        removed = lastmods.size > 0 ? Object.keys(previous).filter(url => previous[url].lastmod && !lastmods.has(url)) : [];
+        console.log(`\n   📝 ${changed.length} new or changed, ${removed.length} removed since the last build.`);
+
+        // Reuse a file unless it changed in the sitemap, its cache-buster changed or it went missing
+        const alwaysFetch = new Set(config.crawlSeeds.map(seed => new URL(seed, config.ghostUrl).href));
+        const isFresh = (href, node) => {
+            const entry = previous[href];
+            if (!entry || alwaysFetch.has(href)) return false;
+            if (lastmods.has(href) && lastmods.get(href) !== entry.lastmod) return false;
+            if (node.version !== entry.version) return false;
+            // Size variants the images stage removed stay removed while it runs
+            if (entry.variantRemoved && config.optimizeImages) return true;
+            return !entry.file || fs.existsSync(path.join(config.distDir, entry.file));
+        };
+
+        // Fetch new and changed pages, plus any asset they reference that isn't on disk
+        await crawlSite({ ...crawlOptions, graph, isFresh, seeds: [...config.crawlSeeds, ...lastmods.keys()] });
+
+        // Refetch the home, tag and author listings (and their pagination) that show those posts
+        const touched = [...changed, ...removed];
+        if (touched.length > 0) {
+            const listings = new Set([new URL('/', config.ghostUrl).href]);
+            touched.forEach(url => {
+                [...(graph.get(url)?.refs || []), ...(previous[url]?.refs || [])]
+                    .filter(isListingPage)
+                    .forEach(ref => listings.add(ref));
+            });
+            const forced = withPagination(listings, [...Object.keys(previous), ...graph.keys()]);
+            await crawlSite({
+                ...crawlOptions,
+                graph,
+                seeds: [...forced],
+                isFresh: (href, node) => !forced.has(href) && isFresh(href, node),
+            });
+        }
+
+        // Remember renamed posts (same title, new URL) before their old files go
+        const added = changed.filter(url => !previous[url] && graph.get(url)?.file)
+            .map(url => ({ url, file: graph.get(url).file }));
+        const slugChanges = detectSlugChanges(cheerio, config.distDir, removed.map(url => ({ url, file: previous[url].file })), added);
+        if (slugChanges.length > 0) {
+            const known = loadSlugRedirects(config.slugRedirectsFile);
+            const detectedAt = new Date().toISOString();
+            slugChanges.forEach(({ from, to }) => console.log(`\n   🔀 Slug change: ${from} → ${to}`));
+            fs.outputJsonSync(config.slugRedirectsFile, [
+                ...known.filter(r => !slugChanges.some(c => c.from === r.from)),
+                ...slugChanges.map(change => ({ ...change, detectedAt })),
+            ], { spaces: 2 });
+            console.log(`\n   📌 Recorded in ${path.basename(config.slugRedirectsFile)}: commit it to keep these redirects.`);
+        }
+
+        // Drop files of removed posts and of pages that no longer resolve (not ones Ghost failed to serve)
+        const stale = [
+            ...removed,
+            ...[...graph].filter(([url, node]) => !node.cached && !node.file && !isFetchFailure(node) && previous[url]).map(([url]) => url),
+        ];
+        stale.forEach(url => {
+            if (previous[url].file) fs.removeSync(path.join(config.distDir, previous[url].file));
+        });
+    }
+
+    // Build manifest
+    const entries = manifest ? { ...manifest.urls } : {};
+    removed.forEach(url => delete entries[url]);
+    for (const [url, node] of graph) {
+        // Keep the last build's entry of a page Ghost failed to serve: its file is still there
+        if (node.cached || (isFetchFailure(node) && !node.file && entries[url])) continue;
+        if (!node.file && !node.location) {
+            delete entries[url];
+            continue;
+        }
+        entries[url] = {
+            file: node.file,
+            hash: node.hash || null,
+            lastmod: lastmods.get(url) || null,
+            version: node.version,
+            refs: node.refs || [],
+            ...(node.location && { location: node.location }),
+        };
+    }
+    writeManifest(config.manifestFile, config.ghostUrl, entries);
+    const fetched = new Set([...graph.values()].filter(node => node.file).map(node => node.file.split(path.sep).join('/')));
+    Object.assign(ctx, { graph, lastmods, entries, fetched });
+};
+
+/**
+ * Crawl report: files saved and reused, sitemaps found and failed URLs (see the crawl graph).
+ */
+const assetAudit = async ({ config, graph }) => {
+    const nodes = [...graph.values()];
+    const saved = nodes.filter(node => node.file).length;
+    const reused = nodes.filter(node => node.cached).length;
+    const failed = nodes.filter(node => !node.file && (node.status === 0 || node.status >= 400));
+    const sitemapCount = nodes.filter(node => node.file && /^sitemap.*\.xml$/.test(node.file)).length;
+    writeCrawlGraph(graph, path.join(config.distDir, config.crawlGraphFile));
+
+    console.log(`\n✅ Crawled ${nodes.length} URLs, saved ${saved} files${reused > 0 ? `, reused ${reused}` : ''}.`);
+    if (sitemapCount > 0) console.log(`✅ Found ${sitemapCount} sitemaps.`);
+    else if (config.sitemaps) console.log('ℹ️  Ghost served no sitemaps: they are generated from the pages.');
+    else console.warn('⚠️  No sitemaps found.');
+    if (failed.length > 0) {
+        console.warn(`⚠️  ${failed.length} URLs failed (see ${config.crawlGraphFile}).`);
+    }
+};
+
+/**
+ * Strip query strings from file names and apply the configured moves (e.g.
+ * 404/index.html → 404.html), keeping `fetched` in step.
+ */
+const sanitize = async ({ config, fetched }) => {
+    console.log('✨ Sanitizing Files & Paths...');
+    const rename = (from, to) => {
+        if (fetched.delete(from)) fetched.add(to);
+    };
+    getFiles(config.distDir).forEach(file => {
+        if (/[?=@]/.test(file)) {
+            const clean = file.split(/[?=@]/)[0];
+            fs.existsSync(clean) ? fs.removeSync(file) : fs.moveSync(file, clean);
+            rename(...[file, clean].map(f => path.relative(config.distDir, f).split(path.sep).join('/')));
+        }
+    });
+
+    config.moves.forEach(({ src, dest }) => {
+        const srcPath = path.join(config.distDir, src);
+        if (fs.existsSync(srcPath)) {
+            fs.moveSync(srcPath, path.join(config.distDir, dest), { overwrite: true });
+            if (src.includes('/')) fs.removeSync(path.dirname(srcPath));
+            rename(src, dest);
+        }
+    });
+};
+
+/**
+ * Swap Ghost's domain for the production one in every page and sitemap, strip
+ * cache busters, Ghost Portal and the sitemaps' XSL stylesheet reference.
+ */
+const rewrite = async ({ config, replaceInFile }) => {
+    console.log('🔄 Rewriting HTML...');
+    const ghostDomain = config.ghostUrl.replace(/^https?:\/\//, '');
+    const deployDomain = config.deployOrigin.replace(/^https?:\/\//, '');
+    await replaceInFile({
+        files: [`${config.distDir}/**/*.html`, `${config.distDir}/**/*.xml`],
+        allowEmptyPaths: true,
+        from: [
+            new RegExp(escapeRegExp(config.ghostUrl), 'g'), // Swap Domain
+            new RegExp(escapeRegExp(`//${ghostDomain}`), 'g'), // Protocol-relative
+            config.cacheBusterPattern, // Remove cache busters
+            /<script\b[^>]*ghost-portal[^>]*><\/script>/g, // Remove Ghost Portal
+            /<\?xml-stylesheet[^?]*\?>/g // Remove XSL stylesheet reference
+        ],
+        to: [config.deployOrigin, `//${deployDomain}`, '$1', '', ''],
+    });
+};
+
+/**
+ * HTML transforms: elementsToRemove, then the transforms rules, scoped by page
+ * path. Only pages fetched by this build are transformed: pages reused from the
+ * last build were transformed then, and insertions aren't idempotent. RSS
+ * saved as index.html is left alone.
+ */
+const clean = async ({ config, cheerio, fetched, verbose }) => {
+    console.log('🧽 Transforming HTML...');
+    const [htmlFilesToClean, reused] = getFiles(config.distDir, '.html').reduce(([fresh, kept], file) => {
+        const rel = path.relative(config.distDir, file).split(path.sep).join('/');
+        if (!fetched.has(rel)) return [fresh, [...kept, pagePath(rel)]];
+        return isXmlFeed(fs.readFileSync(file, 'utf8')) ? [fresh, kept] : [[...fresh, file], kept];
+    }, [[], []]);
+    const ruleStats = config.transforms.map(() => ({ elements: 0, pages: 0, scoped: 0, error: null }));
+    htmlFilesToClean.forEach(file => {
+        const htmlContent = fs.readFileSync(file, 'utf8');
+        const sitePath = pagePath(path.relative(config.distDir, file));
+        const page = { path: sitePath, url: `${config.deployUrl || config.ghostUrl}${sitePath}` };
+        fs.writeFileSync(file, applyRules(cheerio, htmlContent, config.transforms, page, ruleStats), 'utf8');
+        if (!config.verbose) process.stdout.write('.');
+    });
+    console.log(`\n✅ Transformed ${htmlFilesToClean.length} HTML files with ${config.transforms.length} rules.`);
+    // A rule that matched nothing is only suspicious when every page it applies to was checked
+    const skipsReused = (rule) => reused.some(page => !rule.pages || rule.pages.some(pattern => pattern.test(page)));
+    config.transforms.forEach((rule, i) => {
+        const { elements, pages, scoped, error } = ruleStats[i];
+        if (error) console.warn(`   ⚠️  ${rule.label}: ${error}`);
+        else if (elements > 0) verbose(`   ✂️  ${rule.label}: ${elements} elements on ${pages} pages`);
+        else if (scoped === 0) verbose(`   ✂️  ${rule.label}: no fetched page to check`);
+        else if (skipsReused(rule)) verbose(`   ✂️  ${rule.label}: matched nothing on the ${scoped} fetched pages`);
+        else if (!rule.optional) console.warn(`   ⚠️  ${rule.label}: matched nothing (has the theme changed?)`);
+        else verbose(`   ✂️  ${rule.label}: matched nothing`);
+    });
+};
+
+/**
+ * Sitemaps and robots.txt generated from the pages in distDir, replacing
+ * Ghost's (which list pages that weren't mirrored or were removed).
+ */
+const sitemaps = async ({ config, cheerio, verbose }) => {
+    console.log('🗺️  Generating sitemaps...');
+    const pages = collectSitemapPages({
+        cheerio,
+        distDir: config.distDir,
+        exclude: config.sitemapExclude,
+        errorPages: config.errorPages,
+    });
+    const written = writeSitemaps({ distDir: config.distDir, siteUrl: config.deployOrigin, pages });
+    written.forEach(sitemap => verbose(`   🗺️  ${sitemap.file} (${sitemap.count} URLs)`));
+    if (config.robotsTxt !== null) writeRobots({ distDir: config.distDir, siteUrl: config.deployOrigin, rules: config.robotsTxt });
+    console.log(`✅ Listed ${pages.length} pages in ${written.length} sitemaps${config.robotsTxt !== null ? ' and wrote robots.txt' : ''}.`);
+};
+
+/**
+ * Responsive images: AVIF/WebP renditions, srcset and <picture>; replaces Ghost's size variants.
+ */
+const images = async (ctx) => {
+    const { config, cheerio } = ctx;
+    console.log('🖼️  Optimizing images...');
+    const sharp = require('sharp');
+    const { processed, stats } = await optimizeImages({
+        sharp,
+        distDir: config.distDir,
+        cacheDir: config.imageCacheDir,
+        settings: { widths: config.imageWidths, formats: config.imageFormats, quality: config.imageQuality },
+        onImage: (file, cached) => (config.verbose
+            ? console.log(`   ${cached ? '♻️ ' : '🆕'} ${file}`)
+            : process.stdout.write('.')),
+    });
+
+    const siteOrigins = [config.deployUrl, config.ghostUrl].filter(Boolean).map(url => new URL(url).origin);
+    getFiles(config.distDir, '.html').forEach(file => {
+        const rewritten = rewriteHtml(cheerio, fs.readFileSync(file, 'utf8'), processed, siteOrigins);
+        if (rewritten !== null) fs.writeFileSync(file, rewritten, 'utf8');
+    });
+    getFiles(config.distDir, '.css').forEach(file => {
+        const css = fs.readFileSync(file, 'utf8');
+        const rewritten = rewriteVariantRefs(css, processed);
+        if (rewritten !== css) fs.writeFileSync(file, rewritten, 'utf8');
+    });
+    // Mark the removed variants in the manifest, so incremental builds don't fetch them again
+    const removed = new Set(removeVariants(config.distDir, processed, stats));
+    Object.values(ctx.entries).forEach(entry => {
+        if (entry.file && removed.has(entry.file.split(path.sep).join('/'))) entry.variantRemoved = true;
+    });
+    writeManifest(config.manifestFile, config.ghostUrl, ctx.entries);
+
+    const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    const saved = (bytes) => `${mb(bytes)}, -${(100 - (bytes / stats.inputBytes) * 100).toFixed(0)}%`;
+    console.log(`\n✅ Optimized ${stats.images} images${stats.cached > 0 ? ` (${stats.cached} from cache)` : ''}.`);
+    if (stats.images > 0) {
+        console.log(`   📉 Originals ${mb(stats.inputBytes)} → ${mb(stats.originalBytes)} stripped`);
+        Object.entries(stats.fullWidthBytes)
+            .filter(([format]) => config.imageFormats.includes(format))
+            .forEach(([format, bytes]) => console.log(`   📉 ${format.toUpperCase()} at full width: ${saved(bytes)}`));
+    }
+    if (stats.variantsRemoved > 0) {
+        console.log(`   🗑️  Removed ${stats.variantsRemoved} Ghost size variants (${mb(stats.variantBytes)}).`);
+    }
+};
+
+/**
+ * Static search: an index from the mirrored posts and the search UI in every page.
+ */
+const search = async ({ config, cheerio }) => {
+    console.log('🔎 Building search index...');
+    const documents = buildSearchIndex({
+        cheerio,
+        distDir: config.distDir,
+        bodyText: config.searchBodyText,
+    });
+    writeSearchAssets(config.distDir, documents, config.searchFiles);
+    getFiles(config.distDir, '.html').forEach(file => {
+        const htmlContent = fs.readFileSync(file, 'utf8');
+        fs.writeFileSync(file, injectSearch(cheerio, htmlContent, config.searchFiles), 'utf8');
+    });
+    console.log(`✅ Indexed ${documents.length} posts.`);
+};
+
+/**
+ * RSS, Atom and JSON Feed for the site and every tag and author, linked from their pages.
+ */
+const feeds = async ({ config, cheerio, verbose }) => {
+    console.log('📡 Generating feeds...');
+    const [siteFeed, ...archiveFeeds] = buildFeeds({
+        cheerio,
+        distDir: config.distDir,
+        siteUrl: config.deployOrigin,
+        basePath: config.basePath,
+        limit: config.feedLimit,
+    });
+    const archiveByPath = new Map(archiveFeeds.map(feed => [feed.path, feed]));
+    getFiles(config.distDir, '.html').forEach(file => {
+        const htmlContent = fs.readFileSync(file, 'utf8');
+        if (isXmlFeed(htmlContent)) return;
+        const sitePath = `/${path.relative(config.distDir, file).split(path.sep).join('/')}`;
+        const archive = archiveByPath.get(sitePath.match(/^\/(?:tag|author)\/[^/]+\//)?.[0]);
+        fs.writeFileSync(file, injectFeedLinks(cheerio, htmlContent, archive ? [siteFeed, archive] : [siteFeed], config.basePath), 'utf8');
+    });
+    archiveFeeds.forEach(feed => verbose(`   📡 ${feed.path} (${feed.count} posts)`));
+    const count = (kind) => archiveFeeds.filter(feed => feed.kind === kind).length;
+    console.log(`✅ Wrote RSS, Atom and JSON feeds for the site (${siteFeed.count} posts), ${count('tag')} tags and ${count('author')} authors.`);
+};
+
+/**
+ * Redirect stubs for Ghost's redirects.yaml/json and the detected slug changes.
+ */
+const redirects = async ({ config, graph, entries, verbose }) => {
+    console.log('🔀 Writing redirect stubs...');
+    const rules = [
+        ...loadGhostRedirects(config.ghostDataDir),
+        ...loadSlugRedirects(config.slugRedirectsFile).map(({ from, to }) => ({ from, to, permanent: true })),
+    ];
+    const knownPaths = [...new Set([...graph.keys(), ...Object.keys(entries)].map(url => new URL(url).pathname))];
+    const { redirects: expanded, unmatched } = expandRedirects(rules, knownPaths);
+    const { written, collisions, skipped } = writeRedirects({
+        distDir: config.distDir,
+        redirects: expanded,
+        deployUrl: config.deployUrl && config.deployOrigin,
+        redirectsFile: config.redirectsFile,
+    });
+
+    collisions.forEach(from => console.warn(`⚠️  Redirect source ${from} is a real page; stub skipped.`));
+    skipped.forEach(from => console.warn(`⚠️  Redirect source ${from} can't be served by a static stub; skipped.`));
+    unmatched.forEach(rule => verbose(`   ℹ️  Regex redirect ${rule.from} matched no known URL.`));
+    console.log(`✅ Wrote ${written} redirect stubs${config.redirectsFile ? ` and ${config.redirectsFile}` : ''}.`);
+};
+
+/**
+ * Serve the site from a subpath: prefix its root-relative and absolute URLs
+ * (HTML, CSS, scripts, JSON, sitemaps and feeds) with basePath.
+ */
+const basePath = async ({ config, cheerio }) => {
+    console.log(`📁 Prefixing URLs with ${config.basePath}...`);
+    const changed = applyBasePath({
+        cheerio,
+        distDir: config.distDir,
+        basePath: config.basePath,
+        origin: config.deployOrigin,
+        exclude: config.buildFiles,
+    });
+    console.log(`✅ Rewrote ${changed} files for ${config.deployOrigin}${config.basePath}/.`);
+};
+
+/**
+ * Minify HTML, CSS & JS and give theme assets content-hashed filenames.
+ */
+const minify = async ({ config, verbose }) => {
+    const assetManifestPath = path.join(config.distDir, config.assetManifestFile);
+    const previousAssets = loadAssetManifest(assetManifestPath);
+
+    if (config.minify) {
+        console.log('🗜️  Minifying HTML, CSS & JS...');
+        // Hashed files kept from the last build are minified already
+        const keep = new Set(Object.values(previousAssets).map(rel => path.join(config.distDir, rel)));
+        const files = ['.html', '.css', '.js']
+            .flatMap(ext => getFiles(config.distDir, ext))
+            .filter(file => !keep.has(file));
+        const stats = await minifyFiles(files, {
+            onError: (file, e) => console.warn(`⚠️  Could not minify ${path.relative(config.distDir, file)}: ${e.message}`),
+        });
+        const saved = stats.before - stats.after;
+        console.log(`✅ Minified ${stats.files} files (-${(saved / 1024).toFixed(1)} KB${stats.before > 0 ? `, -${((saved / stats.before) * 100).toFixed(0)}%` : ''}).`);
+    }
+
+    if (config.hashAssets) {
+        console.log('#️⃣  Hashing asset filenames...');
+        const { assets, renamed } = hashAssets({ distDir: config.distDir, previous: previousAssets, basePath: config.basePath });
+        writeAssetManifest(assetManifestPath, assets);
+        verbose(Object.entries(assets).map(([original, hashed]) => `   ${original} → ${path.basename(hashed)}`).join('\n'));
+        console.log(`✅ Hashed ${renamed} assets (${Object.keys(assets).length} in ${config.assetManifestFile}).`);
+    } else {
+        fs.removeSync(assetManifestPath);
+    }
+};
+
+/**
+ * Check internal links, assets, sitemap URLs and leftover Ghost URLs; throws
+ * when there are more broken references than verifyMaxErrors.
+ */
+const verify = async (ctx) => {
+    const { config, cheerio } = ctx;
+    console.log('🔍 Verifying static output...');
+    const issues = verifyDist({
+        cheerio,
+        distDir: config.distDir,
+        ghostUrl: config.ghostUrl,
+        deployUrl: config.deployUrl,
+        basePath: config.basePath,
+        ignore: config.crawlExclude,
+    });
+    const errorCount = countIssues(issues);
+    printReport(issues);
+    ctx.issues = issues;
+    if (errorCount > config.verifyMaxErrors) {
+        throw new Error(`Verification failed: ${errorCount} errors (allowed: ${config.verifyMaxErrors}).`);
+    }
+    console.log(errorCount > 0
+        ? `⚠️  ${errorCount} errors found (within the allowed ${config.verifyMaxErrors}).`
+        : '✅ No broken references found.');
+};
+
+/**
+ * SEO and accessibility audit of the pages (see lib/seo.js), written to
+ * seoReportFile; throws when a rule set to 'error' found issues.
+ */
+const seoAudit = async (ctx) => {
+    const { config, cheerio } = ctx;
+    console.log('🔎 Auditing SEO & accessibility...');
+    const siteUrl = config.deployUrl || null;
+    const { pages, issues } = auditPages({ cheerio, distDir: config.distDir, siteUrl, exclude: config.seoExclude });
+    const seo = buildAuditReport({ siteUrl, pages, issues: applyLevels(issues, config.seoRules) });
+    ctx.seo = seo;
+    printAudit(seo);
+    const reportName = config.seoReportFile ? path.basename(config.seoReportFile) : null;
+    if (config.seoReportFile) fs.outputJsonSync(config.seoReportFile, seo, { spaces: 2 });
+    if (seo.errors > 0) {
+        throw new Error(`SEO audit failed: ${seo.errors} errors${reportName ? ` (see ${reportName})` : ''}.`);
+    }
+    console.log(seo.warnings > 0
+        ? `⚠️  ${seo.warnings} warnings on ${pages} pages${reportName ? ` (see ${reportName})` : ''}.`
+        : `✅ No SEO or accessibility issues on ${pages} pages.`);
+};
+
+/**
+ * Build report: pages and asset sizes compared with the previous build. The
+ * new snapshot is saved by the build once it completes.
+ */
+const report = async (ctx) => {
+    const { config, cheerio } = ctx;
+    ctx.snapshot = snapshotDist({ cheerio, distDir: config.distDir, exclude: config.buildFiles });
+    const previousSnapshot = loadSnapshot(config.snapshotFile);
+    if (!previousSnapshot) {
+        console.log('📝 No previous build to compare with: the next build will be compared with this one.');
+        return;
+    }
+    console.log('📝 Comparing with the previous build...');
+    ctx.report = diffSnapshots(previousSnapshot, ctx.snapshot);
+    summarizeReport(ctx.report).forEach(line => console.log(`   ${line}`));
+    if (config.reportFile) {
+        fs.outputFileSync(config.reportFile, formatReport(ctx.report));
+        console.log(`✅ Build report written to ${config.reportFile}.`);
+    }
+};
+
+/**
+ * Target-specific files such as CNAME/.nojekyll. Incremental builds keep distDir,
+ * so the GitHub Pages files of an earlier deploy are removed for other targets.
+ */
+const finalize = async ({ config, target }) => {
+    console.log(`📦 Finalizing for ${target.label}...`);
+    if (target.type !== 'gh-pages') GH_PAGES_FILES.forEach(name => fs.removeSync(path.join(config.distDir, name)));
+    if (target.prepare) await target.prepare(config.distDir);
+};
+
+/**
+ * Plan the upload and publish it. A dry run prints the plan instead; a deploy
+ * that removes more than confirmRemovedPages pages asks `confirm` first.
+ */
+const publish = async (ctx) => {
+    const { config, target, verbose } = ctx;
+    ctx.plan = await target.plan(config.distDir);
+    if (config.dryRun) {
+        console.log(`🔎 Dry run: ${target.label} would change:`);
+        printPlan(ctx.plan);
+        return;
+    }
+
+    const removedPages = ctx.report ? ctx.report.pages.removed.length : 0;
+    if (config.confirmRemovedPages !== null && removedPages > config.confirmRemovedPages) {
+        console.log(`⚠️  ${removedPages} pages were removed since the previous build (confirmRemovedPages: ${config.confirmRemovedPages}).`);
+        if (!await ctx.confirm(`   Deploy to ${target.label} anyway? [y/N] `)) {
+            throw new Error('Deploy cancelled.');
+        }
+    }
+
+    console.log(`📤 Deploying to ${target.label}...`);
+    verbose(`   + ${ctx.plan.added.length} added, ~ ${ctx.plan.changed.length} changed, - ${ctx.plan.deleted.length} deleted`);
+    try {
+        await target.publish(config.distDir, ctx.plan);
+    } catch (e) {
+        throw new Error(`Deploy to ${target.name} failed: ${e.message}`);
+    }
+};
+
+const deploying = ({ config }) => !config.buildOnly;
+
+// The pipeline, in order. `enabled` skips a stage for this build.
+const STAGES = [
+    { name: 'mirror', run: mirror },
+    { name: 'assetAudit', run: assetAudit },
+    { name: 'sanitize', run: sanitize },
+    { name: 'rewrite', run: rewrite },
+    { name: 'clean', run: clean },
+    { name: 'sitemaps', run: sitemaps, enabled: ({ config }) => config.sitemaps },
+    { name: 'images', run: images, enabled: ({ config }) => config.optimizeImages },
+    { name: 'search', run: search, enabled: ({ config }) => config.staticSearch },
+    { name: 'feeds', run: feeds, enabled: ({ config }) => config.feeds },
+    { name: 'redirects', run: redirects, enabled: ({ config }) => config.redirects },
+    { name: 'basePath', run: basePath, enabled: ({ config }) => config.basePath !== '' },
+    { name: 'minify', run: minify, enabled: ({ config }) => config.minify || config.hashAssets },
+    { name: 'verify', run: verify },
+    { name: 'seoAudit', run: seoAudit, enabled: ({ config }) => config.seoAudit },
+    { name: 'report', run: report },
+    { name: 'finalize', run: finalize, enabled: deploying },
+    { name: 'publish', run: publish, enabled: deploying },
+];
+
+module.exports = { STAGES };
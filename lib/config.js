@@ -0,0 +1,308 @@
+// lib/config.js — Build configuration: defaults, theme preset, config file, env and CLI overrides
+const fs = require('fs-extra');
+const path = require('path');
+const presets = require('./presets');
+const { isTransformRule, compileRules } = require('./transforms');
+const { normalizeBasePath } = require('./basepath');
+const { RULES, LEVELS } = require('./seo');
+const { SODO_SCRIPT, SEARCH_BUTTONS } = require('./search');
+
+const CONFIG_FILES = ['ghost-static.config.js', 'ghost-static.config.json'];
+
+// --- Defaults ---
+const DEFAULTS = {
+    ghostUrl: 'http://localhost:2368',
+    deployUrl: undefined,
+    // Path the site is served from, e.g. '/blog' for https://org.github.io/blog/ (null: the
+    // deploy URL's path); root-relative URLs in the output are prefixed with it
+    basePath: null,
+    outDir: 'dist',
+    // Theme preset providing the base elementsToRemove (null: none)
+    preset: 'tailwind',
+    // Extra selectors removed on top of the preset's
+    elementsToRemove: [],
+    // HTML transform rules ({ action, selector, html, attributes, pages }), applied in order
+    // after elementsToRemove
+    transforms: [],
+    // Crawl entry points (sitemap.xml links every post, page, tag and author)
+    crawlSeeds: ['/', '/404/', '/rss/', '/sitemap.xml'],
+    crawlConcurrency: 8,
+    // Ghost admin, members and API routes have no static equivalent
+    crawlExclude: ['^/ghost/', '^/members/', '^/r/'],
+    // Pages mirrored for their body even though Ghost answers with an error status
+    errorPages: ['/404/'],
+    // Structural fixes applied after the crawl (paths relative to the output directory)
+    moves: [{ src: '404/index.html', dest: '404.html' }],
+    // Cache-busters stripped from asset URLs in HTML ($1 keeps the extension)
+    cacheBusterPattern: '((?:\\.css|\\.js|\\.png|\\.jpg|\\.svg|\\.webp))([?@][^"\'\\s>]*)',
+    // Broken references tolerated by the verification step before the build fails
+    verifyMaxErrors: 0,
+    // Static search (index + UI injected into every page, replaces Ghost's Sodo search)
+    staticSearch: true,
+    searchBodyText: false,
+    // RSS, Atom and JSON Feed for the site and every tag and author (newest feedLimit posts each)
+    feeds: true,
+    feedLimit: 15,
+    // sitemap.xml generated from the pages in the output (noindex pages and sitemapExclude
+    // paths left out), and robots.txt: these rules plus the sitemap URL (null: no robots.txt)
+    sitemaps: true,
+    sitemapExclude: [],
+    robotsTxt: 'User-agent: *\nAllow: /',
+    // Ghost's content/data directory (redirects.yaml / redirects.json)
+    ghostDataDir: 'ghost/content/data',
+    // Redirect stubs for Ghost redirects and detected slug changes, plus an optional
+    // host redirects file such as '_redirects' (Netlify, Cloudflare Pages)
+    redirects: true,
+    redirectsFile: null,
+    // Responsive images: content/images re-encoded to these widths and formats (plus the
+    // original format), wrapped in <picture>; encodings are cached across builds in imageCacheDir
+    optimizeImages: true,
+    imageWidths: [400, 800, 1200, 2000],
+    imageFormats: ['avif', 'webp'],
+    imageQuality: { jpeg: 80, webp: 80, avif: 60 },
+    imageCacheDir: '.cache/images',
+    // Minify HTML/CSS/JS, and rename theme assets (/assets/, /public/) to content-hashed filenames
+    minify: false,
+    hashAssets: false,
+    // SEO and accessibility audit of the pages (rules and their default levels: see README);
+    // seoRules sets a rule to 'error' (fails the build), 'warn' or 'off'. JSON report: seoReportFile
+    seoAudit: true,
+    seoRules: {},
+    seoExclude: [],
+    seoReportFile: 'seo-report.json',
+    // Markdown report of the changes since the previous build (null: console summary only), and
+    // the number of removed pages above which a deploy asks for confirmation (null: never ask)
+    reportFile: 'build-report.md',
+    confirmRemovedPages: null,
+    // Build plugins: functions or module paths (relative to the project root), each
+    // optionally as [plugin, options]; called with (build, options) to add hooks and stages
+    plugins: [],
+    // Deploy target used by `npm run deploy`, picked from deployTargets (name → { type, ...options })
+    deployTarget: 'gh-pages',
+    deployTargets: {
+        'gh-pages': { type: 'gh-pages' },
+    },
+    // `npm run watch`: address of the webhook listener, seconds to wait for more events
+    // before a run, and the number of runs kept in its log (secret: WEBHOOK_SECRET)
+    webhookHost: '0.0.0.0',
+    webhookPort: 2369,
+    webhookDebounce: 10,
+    webhookHistory: 20,
+    // Named environments (name → options overriding the ones above), picked with --env;
+    // each builds into its own directory and writes its own reports (default:
+    // `${outDir}-${name}`, build-report-<name>.md and seo-report-<name>.json)
+    environments: {},
+};
+
+// --- Validation ---
+const isString = (v) => typeof v === 'string';
+const isStringArray = (v) => Array.isArray(v) && v.every(isString);
+const isPattern = (v) => isString(v) || v instanceof RegExp;
+const isPlugin = (v) => typeof v === 'function' || (isString(v) && v.length > 0);
+const isUrl = (v) => {
+    try {
+        return isString(v) && /^https?:$/.test(new URL(v).protocol);
+    } catch (e) {
+        return false;
+    }
+};
+
+// option → [check, expected description]
+const schema = {
+    ghostUrl: [isUrl, 'an http(s) URL'],
+    deployUrl: [(v) => v === undefined || isUrl(v), 'an http(s) URL'],
+    basePath: [(v) => v === null || (isString(v) && /^\/[^?#\s]*$/.test(v)), 'a path starting with "/" or null'],
+    outDir: [(v) => isString(v) && v.length > 0, 'a directory path'],
+    preset: [(v) => v === null || Object.hasOwn(presets, v), `one of ${Object.keys(presets).join(', ')} or null`],
+    elementsToRemove: [isStringArray, 'an array of CSS selectors'],
+    transforms: [(v) => Array.isArray(v) && v.every(isTransformRule), 'an array of transform rules ({ action, selector, ... }, see README)'],
+    crawlSeeds: [(v) => isStringArray(v) && v.every(s => s.startsWith('/')), 'an array of root-relative paths'],
+    crawlConcurrency: [(v) => Number.isInteger(v) && v > 0, 'a positive integer'],
+    crawlExclude: [(v) => Array.isArray(v) && v.every(isPattern), 'an array of regular expressions (or strings)'],
+    errorPages: [isStringArray, 'an array of root-relative paths'],
+    moves: [(v) => Array.isArray(v) && v.every(m => m && isString(m.src) && isString(m.dest)), 'an array of { src, dest }'],
+    cacheBusterPattern: [isPattern, 'a regular expression (or string)'],
+    verifyMaxErrors: [(v) => Number.isInteger(v) && v >= 0, 'a non-negative integer'],
+    staticSearch: [(v) => typeof v === 'boolean', 'a boolean'],
+    searchBodyText: [(v) => typeof v === 'boolean', 'a boolean'],
+    feeds: [(v) => typeof v === 'boolean', 'a boolean'],
+    feedLimit: [(v) => Number.isInteger(v) && v > 0, 'a positive integer'],
+    sitemaps: [(v) => typeof v === 'boolean', 'a boolean'],
+    sitemapExclude: [(v) => Array.isArray(v) && v.every(isPattern), 'an array of regular expressions (or strings)'],
+    robotsTxt: [(v) => v === null || isString(v), 'a string or null'],
+    ghostDataDir: [(v) => isString(v) && v.length > 0, 'a directory path'],
+    redirects: [(v) => typeof v === 'boolean', 'a boolean'],
+    redirectsFile: [(v) => v === null || (isString(v) && v.length > 0), 'a file name or null'],
+    optimizeImages: [(v) => typeof v === 'boolean', 'a boolean'],
+    imageWidths: [(v) => Array.isArray(v) && v.length > 0 && v.every(w => Number.isInteger(w) && w > 0), 'a non-empty array of positive integers'],
+    imageFormats: [(v) => Array.isArray(v) && v.every(f => ['avif', 'webp'].includes(f)), 'an array of "avif" and/or "webp"'],
+    imageQuality: [
+        (v) => v !== null && typeof v === 'object' && Object.entries(v).every(([f, q]) => ['jpeg', 'webp', 'avif'].includes(f) && Number.isInteger(q) && q >= 1 && q <= 100),
+        'an object of jpeg/webp/avif → quality (1-100)',
+    ],
+    imageCacheDir: [(v) => isString(v) && v.length > 0, 'a directory path'],
+    minify: [(v) => typeof v === 'boolean', 'a boolean'],
+    hashAssets: [(v) => typeof v === 'boolean', 'a boolean'],
+    seoAudit: [(v) => typeof v === 'boolean', 'a boolean'],
+    seoRules: [
+        (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && Object.entries(v).every(([rule, level]) => Object.hasOwn(RULES, rule) && LEVELS.includes(level)),
+        `an object of rule (${Object.keys(RULES).join(', ')}) → ${LEVELS.map(level => `"${level}"`).join('/')}`,
+    ],
+    seoExclude: [(v) => Array.isArray(v) && v.every(isPattern), 'an array of regular expressions (or strings)'],
+    seoReportFile: [(v) => v === null || (isString(v) && v.length > 0), 'a file path or null'],
+    reportFile: [(v) => v === null || (isString(v) && v.length > 0), 'a file path or null'],
+    confirmRemovedPages: [(v) => v === null || (Number.isInteger(v) && v >= 0), 'a non-negative integer or null'],
+    plugins: [
+        (v) => Array.isArray(v) && v.every(p => isPlugin(p) || (Array.isArray(p) && p.length === 2 && isPlugin(p[0]) && p[1] !== null && typeof p[1] === 'object')),
+        'an array of plugins (functions or module paths, optionally [plugin, options])',
+    ],
+    deployTarget: [(v) => isString(v) && v.length > 0, 'a target name'],
+    deployTargets: [
+        (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(t => t && isString(t.type)),
+        'an object of name → { type, ...options }',
+    ],
+    webhookHost: [(v) => isString(v) && v.length > 0, 'a host name or IP address'],
+    webhookPort: [(v) => Number.isInteger(v) && v >= 0 && v <= 65535, 'a port number'],
+    webhookDebounce: [(v) => typeof v === 'number' && v >= 0, 'a non-negative number of seconds'],
+    webhookHistory: [(v) => Number.isInteger(v) && v > 0, 'a positive integer'],
+    environments: [
+        (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(e => e !== null && typeof e === 'object' && !Array.isArray(e)),
+        'an object of name → { ...options }',
+    ],
+};
+
+/**
+ * Check every option against the schema; throws one error listing all problems.
+ */
+const validateConfig = (config, source = 'config') => {
+    const problems = [];
+    Object.keys(config).forEach(key => {
+        if (!schema[key]) {
+            problems.push(`unknown option "${key}"`);
+            return;
+        }
+        const [check, expected] = schema[key];
+        if (!check(config[key])) problems.push(`"${key}" must be ${expected}`);
+    });
+    Object.entries(config.environments || {}).forEach(([name, options]) => {
+        if (!options || typeof options !== 'object') return;
+        Object.keys(options).forEach(key => {
+            if (key === 'environments') problems.push(`environment "${name}": environments can't be nested`);
+            else if (!schema[key]) problems.push(`environment "${name}": unknown option "${key}"`);
+            else if (!schema[key][0](options[key])) problems.push(`environment "${name}": "${key}" must be ${schema[key][1]}`);
+        });
+    });
+    if (problems.length > 0) {
+        throw new Error(`Invalid ${source}:\n   - ${problems.join('\n   - ')}`);
+    }
+    return config;
+};
+
+// --- Sources ---
+
+/**
+ * Load ghost-static.config.{js,json} from rootDir, or the file given with --config.
+ */
+const loadConfigFile = (rootDir, configPath) => {
+    const file = configPath
+        ? path.resolve(configPath)
+        : CONFIG_FILES.map(f => path.join(rootDir, f)).find(f => fs.existsSync(f));
+    if (!file) return { file: null, options: {} };
+    if (!fs.existsSync(file)) throw new Error(`Config file not found: ${file}`);
+
+    const options = file.endsWith('.json') ? fs.readJsonSync(file) : require(file);
+    return { file, options: validateConfig(options, path.basename(file)) };
+};
+
+/**
+ * Read the options that can be set through environment variables (.env).
+ */
+const fromEnv = (env) => {
+    const options = {};
+    if (env.GHOST_URL) options.ghostUrl = env.GHOST_URL;
+    if (env.DEPLOY_URL) options.deployUrl = env.DEPLOY_URL;
+    if (env.CRAWL_CONCURRENCY) options.crawlConcurrency = Number(env.CRAWL_CONCURRENCY);
+    if (env.VERIFY_MAX_ERRORS) options.verifyMaxErrors = Number(env.VERIFY_MAX_ERRORS);
+    if (env.STATIC_SEARCH) options.staticSearch = env.STATIC_SEARCH !== 'false';
+    if (env.SEARCH_BODY_TEXT) options.searchBodyText = env.SEARCH_BODY_TEXT === 'true';
+    if (env.OPTIMIZE_IMAGES) options.optimizeImages = env.OPTIMIZE_IMAGES !== 'false';
+    return validateConfig(options, 'environment');
+};
+
+// --- Resolution ---
+
+const toRegExp = (pattern, flags = '') => (pattern instanceof RegExp ? pattern : new RegExp(pattern, flags));
+const trimSlash = (url) => url && url.replace(/\/+$/, '');
+// build-report.md → build-report-staging.md (null stays null)
+const withSuffix = (file, suffix) => file && path.join(path.dirname(file), `${path.basename(file, path.extname(file))}-${suffix}${path.extname(file)}`);
+
+/**
+ * Merge defaults < config file < environment variables < the named
+ * `environment` (from the file's environments) < CLI and normalize the result.
+ *
+ * The preset's selectors come first in elementsToRemove, followed by the
+ * config file's; transforms starts with a remove rule for each of them
+ * (optional for the preset's, whose elements not every site has), and without
+ * staticSearch optional ones for Sodo search and its buttons. Patterns
+ * given as strings are compiled to RegExps, image qualities fall back to the
+ * defaults per format, and the output, Ghost data and image cache directories
+ * and the report file are resolved against rootDir.
+ *
+ * deployUrl becomes origin + basePath without a trailing slash (basePath
+ * defaults to the deploy URL's path), and deployOrigin its origin alone.
+ * Without a deploy URL (build only), the site keeps Ghost's URL.
+ */
+const resolveConfig = ({ rootDir, configPath, env = {}, cli = {}, environment = null }) => {
+    const { file, options } = loadConfigFile(rootDir, configPath);
+    const base = { ...DEFAULTS, ...options, ...fromEnv(env) };
+    if (environment && !Object.hasOwn(base.environments, environment)) {
+        const names = Object.keys(base.environments);
+        throw new Error(`Unknown environment "${environment}" (configured: ${names.join(', ') || 'none'})`);
+    }
+    const overrides = environment ? base.environments[environment] : {};
+    const merged = {
+        ...base,
+        ...(environment && {
+            outDir: `${base.outDir}-${environment}`,
+            reportFile: withSuffix(base.reportFile, environment),
+            seoReportFile: withSuffix(base.seoReportFile, environment),
+        }),
+        ...overrides,
+        ...validateConfig(cli, 'command line options'),
+    };
+    const preset = merged.preset ? presets[merged.preset] : { elementsToRemove: [] };
+    const cacheBuster = toRegExp(merged.cacheBusterPattern);
+    const siteUrl = new URL(merged.deployUrl || merged.ghostUrl);
+    const basePath = normalizeBasePath(merged.basePath === null && merged.deployUrl ? siteUrl.pathname : merged.basePath);
+
+    return {
+        ...merged,
+        configFile: file,
+        environment,
+        ghostUrl: trimSlash(merged.ghostUrl),
+        deployUrl: merged.deployUrl && `${siteUrl.origin}${basePath}`,
+        deployOrigin: siteUrl.origin,
+        basePath,
+        elementsToRemove: [...preset.elementsToRemove, ...merged.elementsToRemove],
+        transforms: compileRules([
+            ...preset.elementsToRemove.map(selector => ({ action: 'remove', selector, optional: true })),
+            // Without the static search, Sodo search (it needs a live Content API) goes with its buttons
+            ...(merged.staticSearch ? [] : [SODO_SCRIPT, ...SEARCH_BUTTONS])
+                .map(selector => ({ action: 'remove', selector, optional: true })),
+            ...merged.elementsToRemove.map(selector => ({ action: 'remove', selector })),
+            ...merged.transforms,
+        ]),
+        crawlExclude: merged.crawlExclude.map(pattern => toRegExp(pattern)),
+        sitemapExclude: merged.sitemapExclude.map(pattern => toRegExp(pattern)),
+        seoExclude: merged.seoExclude.map(pattern => toRegExp(pattern)),
+        cacheBusterPattern: new RegExp(cacheBuster.source, cacheBuster.flags.includes('g') ? cacheBuster.flags : `${cacheBuster.flags}g`),
+        distDir: path.resolve(rootDir, merged.outDir),
+        ghostDataDir: path.resolve(rootDir, merged.ghostDataDir),
+        imageQuality: { ...DEFAULTS.imageQuality, ...merged.imageQuality },
+        imageCacheDir: path.resolve(rootDir, merged.imageCacheDir),
+        seoReportFile: merged.seoReportFile && path.resolve(rootDir, merged.seoReportFile),
+        reportFile: merged.reportFile && path.resolve(rootDir, merged.reportFile),
+    };
+};
+
+module.exports = { DEFAULTS, presets, validateConfig, loadConfigFile, resolveConfig };
@@ -0,0 +1,296 @@
+// lib/crawler.js — Concurrent Ghost site crawler (replaces the wget mirror + asset scraper)
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// --- Reference Extraction ---
+// CSS url(...) and @import "..." references (stylesheets and inline style attributes)
+// A Ghost response that takes longer fails like an unreachable server (status 0)
+const REQUEST_TIMEOUT = 30000;
+const cssUrlPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)|@import\s+(['"])([^'"]+)\3/g;
+// Root-relative theme/content paths embedded as JS string literals
+const jsAssetPattern = /(?:'|")(\/(?:content\/images|assets)\/[^"']+)(?:'|")/g;
+
+/**
+ * Split a srcset attribute into its candidate URLs.
+ */
+const parseSrcset = (srcset) => srcset
+    .split(',')
+    .map(candidate => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+
+/**
+ * Collect every url()/@import reference from a chunk of CSS.
+ */
+const extractCssUrls = (css) => {
+    const urls = [];
+    for (const match of css.matchAll(cssUrlPattern)) {
+        const url = (match[2] || match[4] || '').trim();
+        if (url && !url.startsWith('data:')) urls.push(url);
+    }
+    return urls;
+};
+
+/**
+ * Walk a parsed JSON-LD value and collect every string that looks like a URL.
+ */
+const extractJsonLdUrls = (value, urls = []) => {
+    if (typeof value === 'string') {
+        if (/^(?:https?:)?\/\//.test(value) || value.startsWith('/')) urls.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => extractJsonLdUrls(item, urls));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => extractJsonLdUrls(item, urls));
+    }
+    return urls;
+};
+
+/**
+ * Collect every page and asset reference from an HTML document.
+ */
+const extractHtmlUrls = (cheerio, html) => {
+    const $ = cheerio.load(html);
+    const urls = [];
+
+    $('a[href], link[href], area[href]').each((_, el) => urls.push($(el).attr('href')));
+    $('script[src], img[src], source[src], video[src], audio[src], track[src], iframe[src], embed[src], input[type="image"][src]')
+        .each((_, el) => urls.push($(el).attr('src')));
+    $('img[srcset], source[srcset], link[imagesrcset]').each((_, el) => {
+        urls.push(...parseSrcset($(el).attr('srcset') || $(el).attr('imagesrcset') || ''));
+    });
+    $('video[poster]').each((_, el) => urls.push($(el).attr('poster')));
+    $('object[data]').each((_, el) => urls.push($(el).attr('data')));
+
+    // Social card images and other URL-valued meta tags
+    $('meta[content]').each((_, el) => {
+        const content = $(el).attr('content');
+        if (/^(?:https?:)?\/\//.test(content)) urls.push(content);
+    });
+
+    // Inline styles and <style> blocks
+    $('[style]').each((_, el) => urls.push(...extractCssUrls($(el).attr('style'))));
+    $('style').each((_, el) => urls.push(...extractCssUrls($(el).html() || '')));
+
+    // Structured data (logos, images, author pages)
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            extractJsonLdUrls(JSON.parse($(el).html()), urls);
+        } catch (e) { /* malformed JSON-LD — nothing to follow */ }
+    });
+
+    return urls.filter(Boolean);
+};
+
+/**
+ * Collect every <loc> (and <image:loc>) from a sitemap or sitemap index.
+ */
+const extractSitemapUrls = (cheerio, xml) => {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const urls = [];
+    $('loc, image\\:loc').each((_, el) => urls.push($(el).text().trim()));
+    return urls.filter(Boolean);
+};
+
+/**
+ * Collect { loc, lastmod } pairs for every <url> entry of a sitemap.
+ */
+const extractSitemapEntries = (cheerio, xml) => {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const entries = [];
+    $('url').each((_, el) => {
+        const loc = $(el).children('loc').text().trim();
+        const lastmod = $(el).children('lastmod').text().trim() || null;
+        if (loc) entries.push({ loc, lastmod });
+    });
+    return entries;
+};
+
+// --- Path Mapping ---
+
+/**
+ * Map a crawled URL to its file path inside distDir (mirrors wget's -nH -E layout).
+ */
+const urlToFile = (distDir, url, contentType) => {
+    let pathname = url.pathname;
+    try {
+        pathname = decodeURIComponent(pathname);
+    } catch (e) { /* keep the raw path if it isn't valid percent-encoding */ }
+
+    if (pathname.endsWith('/')) pathname += 'index.html';
+    else if (contentType.includes('text/html') && !/\.html?$/i.test(pathname)) pathname += '.html';
+
+    const file = path.join(distDir, pathname);
+    // Never write outside the output directory
+    return file.startsWith(distDir + path.sep) ? file : null;
+};
+
+// --- Crawler ---
+
+/**
+ * Crawl a Ghost site and write every same-origin page and asset into distDir.
+ *
+ * Starts from the seed paths, follows links found in HTML, CSS, JS and sitemaps,
+ * and keeps at most `concurrency` requests in flight. Paths in `errorPages` are
+ * saved even when Ghost answers with an error status. Returns the crawl graph:
+ * one entry per URL with its status, content type, output file, content hash,
+ * outgoing references and referrers.
+ *
+ * For incremental builds, pass `isFresh(href, node)` to keep the file already on
+ * disk instead of fetching it (the node is marked `cached` and not expanded), and
+ * pass the graph of a previous pass to continue it: seeds that were cached there
+ * are checked again. A request that takes longer than `timeout` ms is recorded
+ * with status 0, like a network error.
+ */
+const crawlSite = async ({
+    cheerio,
+    ghostUrl,
+    distDir,
+    seeds = ['/'],
+    concurrency = 8,
+    exclude = [],
+    errorPages = [],
+    graph = new Map(),
+    isFresh = () => false,
+    onFetched = () => {},
+    timeout = REQUEST_TIMEOUT,
+}) => {
+    const origin = new URL(ghostUrl).origin;
+    const queue = [];
+
+    // Register a reference from `referrer` and queue the URL on first sight.
+    // Returns the normalized URL, or null when it is external or excluded.
+    const enqueue = (rawUrl, referrer) => {
+        let url;
+        try {
+            url = new URL(rawUrl.trim(), referrer || ghostUrl);
+        } catch (e) {
+            return null;
+        }
+        if (url.origin !== origin || !/^https?:$/.test(url.protocol)) return null;
+        // Theme cache-busters (?v=...) identify the asset version, not a separate file
+        const version = url.search;
+        url.hash = '';
+        url.search = '';
+        if (exclude.some(pattern => pattern.test(url.pathname))) return null;
+
+        const key = url.href;
+        if (!graph.has(key)) {
+            graph.set(key, { status: null, contentType: null, file: null, version, referrers: [] });
+            queue.push(url);
+        } else if (!referrer && graph.get(key).cached) {
+            // Seed cached by an earlier pass: give isFresh another look
+            delete graph.get(key).cached;
+            queue.push(url);
+        }
+        const node = graph.get(key);
+        if (referrer && referrer !== key && !node.referrers.includes(referrer)) {
+            node.referrers.push(referrer);
+        }
+        return key;
+    };
+
+    const fetchOne = async (url) => {
+        const node = graph.get(url.href);
+        if (isFresh(url.href, node)) {
+            node.cached = true;
+            return;
+        }
+
+        const fail = (e) => {
+            node.status = 0;
+            node.error = e.name === 'TimeoutError' ? `timed out after ${timeout / 1000}s` : e.cause?.message || e.message;
+        };
+        let res;
+        try {
+            res = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(timeout) });
+        } catch (e) {
+            return fail(e);
+        }
+
+        node.status = res.status;
+        node.contentType = res.headers.get('content-type') || '';
+
+        // Follow redirects ourselves so each URL is recorded once, at its final location
+        if (res.status >= 300 && res.status < 400) {
+            const location = res.headers.get('location');
+            if (location) {
+                node.location = new URL(location, url).href;
+                enqueue(location, url.href);
+            }
+            return;
+        }
+        // Error pages (e.g. /404/) are mirrored for their body, not their status
+        if (!res.ok && !errorPages.includes(url.pathname)) return;
+
+        let body;
+        try {
+            body = Buffer.from(await res.arrayBuffer());
+        } catch (e) {
+            // Timed out (or dropped) halfway through the body
+            return fail(e);
+        }
+        // Ghost answers missing sitemaps with empty bodies
+        if (body.length === 0) return;
+
+        const file = urlToFile(distDir, url, node.contentType);
+        if (!file) return;
+        await fs.outputFile(file, body);
+        node.file = path.relative(distDir, file);
+        node.hash = crypto.createHash('sha256').update(body).digest('hex');
+        onFetched(url.href, node);
+
+        // Discover further references
+        const type = node.contentType;
+        const isXml = /xml/.test(type) || url.pathname.endsWith('.xml');
+        let refs = [];
+        if (type.includes('text/html')) refs = extractHtmlUrls(cheerio, body.toString('utf8'));
+        else if (type.includes('text/css')) refs = extractCssUrls(body.toString('utf8'));
+        else if (type.includes('javascript')) refs = [...body.toString('utf8').matchAll(jsAssetPattern)].map(m => m[1]);
+        else if (isXml && /sitemap/.test(url.pathname)) refs = extractSitemapUrls(cheerio, body.toString('utf8'));
+        node.refs = [...new Set(refs.map(ref => enqueue(ref, url.href)).filter(Boolean))];
+    };
+
+    seeds.forEach(seed => enqueue(seed, null));
+
+    // Worker pool: each worker pulls from the shared queue until it drains
+    let active = 0;
+    await new Promise((resolve) => {
+        const pump = () => {
+            if (queue.length === 0 && active === 0) return resolve();
+            while (active < concurrency && queue.length > 0) {
+                const url = queue.shift();
+                active++;
+                fetchOne(url).catch((e) => {
+                    const node = graph.get(url.href);
+                    node.status = node.status || 0;
+                    node.error = e.message;
+                }).finally(() => {
+                    active--;
+                    pump();
+                });
+            }
+        };
+        pump();
+    });
+
+    return graph;
+};
+
+/**
+ * Write the crawl graph as JSON, sorted by URL for stable diffs.
+ */
+const writeCrawlGraph = (graph, file) => {
+    const nodes = {};
+    [...graph.keys()].sort().forEach(url => { nodes[url] = graph.get(url); });
+    fs.outputJsonSync(file, { generatedAt: new Date().toISOString(), nodes }, { spaces: 2 });
+};
+
+module.exports = {
+    crawlSite,
+    writeCrawlGraph,
+    extractHtmlUrls,
+    extractCssUrls,
+    extractSitemapUrls,
+    extractSitemapEntries,
+    parseSrcset,
+};
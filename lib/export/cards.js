@@ -0,0 +1,240 @@
+// lib/export/cards.js — Turndown rules for Ghost's Koenig cards
+// Rules added later take precedence in Turndown, so these override the generic figure rule.
+
+const hasClass = (node, className) => node.nodeType === 1 &&
+    typeof node.className === 'string' &&
+    node.className.split(/\s+/).includes(className);
+
+const text = (node) => (node ? node.textContent.replace(/\s+/g, ' ').trim() : '');
+const attr = (node, name) => (node && node.getAttribute(name)) || '';
+const block = (...parts) => `\n\n${parts.filter(Boolean).join('\n\n')}\n\n`;
+const caption = (node) => {
+    const figcaption = node.querySelector('figcaption');
+    return text(figcaption) ? `*${text(figcaption)}*` : '';
+};
+
+// --- HTML Cards ---
+// Comments don't survive Turndown's parser, so HTML cards are swapped for a
+// placeholder element carrying the original markup before conversion (with a
+// text child, as Turndown drops blank elements).
+const HTML_CARD_PATTERN = /<!--kg-card-begin: html-->([\s\S]*?)<!--kg-card-end: html-->/g;
+
+/**
+ * Mark Ghost HTML cards so the `ghostHtml` rule can emit them unchanged.
+ */
+const protectHtmlCards = (html) => html.replace(HTML_CARD_PATTERN, (match, inner) => `<div class="kg-html-card" data-raw="${encodeURIComponent(inner.trim())}">html</div>`);
+
+// --- Embeds ---
+
+/**
+ * Recognize an embed URL: { type, id, url } for YouTube, Vimeo and tweets, else { type: 'link', url }.
+ */
+const parseEmbed = (src) => {
+    let url;
+    try {
+        url = new URL(src, 'https://invalid.invalid');
+    } catch (e) {
+        return null;
+    }
+    const youtube = url.hostname.match(/(?:^|\.)(?:youtube(?:-nocookie)?\.com|youtu\.be)$/) &&
+        (url.pathname.match(/^\/(?:embed\/|shorts\/)?([\w-]{11})$/) || [null, url.searchParams.get('v')]);
+    if (youtube && youtube[1]) return { type: 'youtube', id: youtube[1], url: `https://www.youtube.com/watch?v=${youtube[1]}` };
+
+    const vimeo = /(?:^|\.)vimeo\.com$/.test(url.hostname) && url.pathname.match(/(?:\/video)?\/(\d+)/);
+    if (vimeo) return { type: 'vimeo', id: vimeo[1], url: `https://vimeo.com/${vimeo[1]}` };
+
+    const tweet = /(?:^|\.)(?:twitter|x)\.com$/.test(url.hostname) && url.pathname.match(/^\/(\w+)\/status\/(\d+)/);
+    if (tweet) return { type: 'tweet', user: tweet[1], id: tweet[2], url: `https://x.com/${tweet[1]}/status/${tweet[2]}` };
+
+    return { type: 'link', url: url.href };
+};
+
+const EMBED_LABELS = { youtube: 'Watch on YouTube', vimeo: 'Watch on Vimeo', tweet: 'View post on X', link: 'View embed' };
+
+/**
+ * Add a rule for every Ghost card type to a Turndown service.
+ *
+ * `shortcodes` maps embed types (youtube, vimeo, tweet) to a function returning
+ * the generator's shortcode; embeds without one become links.
+ */
+const addGhostCards = (turndown, { shortcodes = {} } = {}) => {
+    const convert = (node) => (node ? turndown.turndown(node.innerHTML).trim() : '');
+
+    const renderEmbed = (embed, title) => {
+        if (shortcodes[embed.type]) return shortcodes[embed.type](embed);
+        return `[${title || EMBED_LABELS[embed.type]}](${embed.url})`;
+    };
+
+    // Raw HTML cards, kept as they are
+    turndown.addRule('ghostHtml', {
+        filter: (node) => hasClass(node, 'kg-html-card') && node.hasAttribute('data-raw'),
+        replacement: (content, node) => block(decodeURIComponent(attr(node, 'data-raw'))),
+    });
+
+    // Code blocks: fenced, with the language from a language-*/lang-* class; code cards add their caption
+    turndown.addRule('ghostCode', {
+        filter: (node) => node.nodeName === 'PRE' && node.firstChild && node.firstChild.nodeName === 'CODE',
+        replacement: (content, node) => {
+            const code = node.firstChild;
+            const classes = `${attr(code, 'class')} ${attr(node, 'class')}`;
+            const language = (classes.match(/(?:^|\s)lang(?:uage)?-(\S+)/) || [])[1] || '';
+            const source = code.textContent.replace(/\n$/, '');
+            const longestRun = Math.max(0, ...(source.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longestRun + 1));
+            return block(`${fence}${language}\n${source}\n${fence}`);
+        },
+    });
+    turndown.addRule('ghostCodeCard', {
+        filter: (node) => hasClass(node, 'kg-code-card'),
+        replacement: (content, node) => {
+            const pre = node.querySelector('pre');
+            return pre ? block(turndown.turndown(pre.outerHTML).trim(), caption(node)) : content;
+        },
+    });
+
+    // Galleries: every image on its own line, then the caption
+    turndown.addRule('ghostGallery', {
+        filter: (node) => hasClass(node, 'kg-gallery-card'),
+        replacement: (content, node) => {
+            const images = Array.from(node.querySelectorAll('.kg-gallery-image img'))
+                .map(img => `![${attr(img, 'alt')}](${attr(img, 'src')})`);
+            return block(images.join('\n'), caption(node));
+        },
+    });
+
+    // Video and audio have no Markdown syntax: a plain player element
+    turndown.addRule('ghostVideo', {
+        filter: (node) => hasClass(node, 'kg-video-card'),
+        replacement: (content, node) => {
+            const video = node.querySelector('video');
+            if (!video) return content;
+            const poster = attr(node, 'data-kg-custom-thumbnail') || attr(node, 'data-kg-thumbnail');
+            const attrs = [`src="${attr(video, 'src')}"`, poster && `poster="${poster}"`, 'controls', video.hasAttribute('loop') && 'loop']
+                .filter(Boolean).join(' ');
+            return block(`<video ${attrs}></video>`, caption(node));
+        },
+    });
+    turndown.addRule('ghostAudio', {
+        filter: (node) => hasClass(node, 'kg-audio-card'),
+        replacement: (content, node) => {
+            const audio = node.querySelector('audio');
+            if (!audio) return content;
+            const title = text(node.querySelector('.kg-audio-title'));
+            return block(title && `**${title}**`, `<audio src="${attr(audio, 'src')}" controls></audio>`);
+        },
+    });
+
+    // File cards: download link with file name and size
+    turndown.addRule('ghostFile', {
+        filter: (node) => hasClass(node, 'kg-file-card'),
+        replacement: (content, node) => {
+            const link = node.querySelector('a');
+            if (!link) return content;
+            const filename = text(node.querySelector('.kg-file-card-filename'));
+            const title = text(node.querySelector('.kg-file-card-title')) || filename;
+            const details = [filename !== title && filename, text(node.querySelector('.kg-file-card-filesize'))].filter(Boolean);
+            const fileCaption = text(node.querySelector('.kg-file-card-caption'));
+            return block(`📎 [${title}](${attr(link, 'href')})${details.length ? ` (${details.join(', ')})` : ''}`, fileCaption && `*${fileCaption}*`);
+        },
+    });
+
+    // Toggles: <details>, with the content still converted to Markdown
+    turndown.addRule('ghostToggle', {
+        filter: (node) => hasClass(node, 'kg-toggle-card'),
+        replacement: (content, node) => {
+            const heading = text(node.querySelector('.kg-toggle-heading-text'));
+            return block(`<details>\n<summary>${heading}</summary>`, convert(node.querySelector('.kg-toggle-content')), '</details>');
+        },
+    });
+
+    // Buttons: a link
+    turndown.addRule('ghostButton', {
+        filter: (node) => hasClass(node, 'kg-button-card'),
+        replacement: (content, node) => {
+            const link = node.querySelector('a');
+            return link ? block(`[${text(link)}](${attr(link, 'href')})`) : content;
+        },
+    });
+
+    // Headers (v1 and v2): background image, heading, subheading and button
+    turndown.addRule('ghostHeader', {
+        filter: (node) => hasClass(node, 'kg-header-card'),
+        replacement: (content, node) => {
+            const image = node.querySelector('.kg-header-card-image') || node.querySelector('img');
+            const background = attr(node, 'data-kg-background-image');
+            const heading = text(node.querySelector('.kg-header-card-heading, .kg-header-card-header'));
+            const subheading = text(node.querySelector('.kg-header-card-subheading, .kg-header-card-subheader'));
+            const button = node.querySelector('a.kg-header-card-button');
+            return block(
+                (image || background) && `![](${attr(image, 'src') || background})`,
+                heading && `## ${heading}`,
+                subheading,
+                button && `[${text(button)}](${attr(button, 'href')})`
+            );
+        },
+    });
+
+    // Products: image, title with star rating, description and button
+    turndown.addRule('ghostProduct', {
+        filter: (node) => hasClass(node, 'kg-product-card'),
+        replacement: (content, node) => {
+            const image = node.querySelector('.kg-product-card-image');
+            const title = text(node.querySelector('.kg-product-card-title'));
+            const rating = node.querySelectorAll('.kg-product-card-rating-active').length;
+            const stars = node.querySelector('.kg-product-card-rating') ? ` ${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}` : '';
+            const button = node.querySelector('a.kg-product-card-button');
+            return block(
+                image && `![${title}](${attr(image, 'src')})`,
+                title && `**${title}**${stars}`,
+                convert(node.querySelector('.kg-product-card-description')),
+                button && `[${text(button)}](${attr(button, 'href')})`
+            );
+        },
+    });
+
+    // Call to action cards: label, image, text and button
+    turndown.addRule('ghostCta', {
+        filter: (node) => hasClass(node, 'kg-cta-card'),
+        replacement: (content, node) => {
+            const label = text(node.querySelector('.kg-cta-sponsor-label'));
+            const image = node.querySelector('.kg-cta-image-container img');
+            const button = node.querySelector('a.kg-cta-button');
+            return block(
+                label && `*${label}*`,
+                image && `![${attr(image, 'alt')}](${attr(image, 'src')})`,
+                convert(node.querySelector('.kg-cta-text')),
+                button && `[${text(button)}](${attr(button, 'href')})`
+            );
+        },
+    });
+
+    // Embeds: YouTube/Vimeo iframes and tweets become shortcodes or links
+    turndown.addRule('ghostEmbed', {
+        filter: (node) => hasClass(node, 'kg-embed-card'),
+        replacement: (content, node) => {
+            const iframe = node.querySelector('iframe');
+            const tweetLink = node.querySelector('blockquote.twitter-tweet a[href*="/status/"]');
+            if (tweetLink) {
+                const embed = parseEmbed(attr(tweetLink, 'href'));
+                if (embed?.type === 'tweet' && shortcodes.tweet) return block(shortcodes.tweet(embed), caption(node));
+                return block(convert(node.querySelector('blockquote.twitter-tweet')).replace(/^/gm, '> '), caption(node));
+            }
+            if (iframe) {
+                const embed = parseEmbed(attr(iframe, 'src'));
+                if (embed) return block(renderEmbed(embed, attr(iframe, 'title')), caption(node));
+            }
+            // Any other oEmbed markup: keep it as raw HTML
+            const figcaption = node.querySelector('figcaption');
+            if (figcaption) figcaption.parentNode.removeChild(figcaption);
+            return block(node.innerHTML.trim(), figcaption && `*${text(figcaption)}*`);
+        },
+    });
+
+    // Member signup forms can't work on a static copy
+    turndown.addRule('ghostSignup', {
+        filter: (node) => hasClass(node, 'kg-signup-card'),
+        replacement: () => '',
+    });
+};
+
+module.exports = { addGhostCards, protectHtmlCards, parseEmbed };
@@ -0,0 +1,59 @@
+// lib/export/filters.js — Which Ghost posts and pages export-md.js writes
+const STATUSES = ['published', 'draft', 'scheduled'];
+
+/**
+ * Compile a slug glob (`*` any run of characters, `?` one character) to a RegExp.
+ */
+const globToRegExp = (glob) => new RegExp(`^${glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')}$`, 'i');
+
+/**
+ * Parse a YYYY-MM-DD (or full ISO) date option; `endOfDay` makes a bare date inclusive.
+ */
+const parseDate = (value, endOfDay = false) => {
+    if (!value) return null;
+    const bare = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(bare && endOfDay ? `${value}T23:59:59.999Z` : value);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid date "${value}" (expected YYYY-MM-DD)`);
+    return date;
+};
+
+/**
+ * The date a post is filed under: its (scheduled) publish date, or the last edit for drafts.
+ */
+const postDate = (post) => {
+    const value = post.published_at || post.updated_at || post.created_at;
+    return value ? new Date(value) : null;
+};
+
+/**
+ * Build a predicate for the export filters.
+ *
+ * `statuses` lists the post statuses to include, `pages` adds pages next to posts.
+ * `tags` and `authors` match a name or slug (case-insensitive; a post matches when it
+ * has any of them), `from`/`until` bound postDate() and `slugs` are globs.
+ */
+const createFilter = ({ statuses = ['published'], pages = false, tags = [], authors = [], from, until, slugs = [] }, { postTagKeys, postAuthorKeys }) => {
+    const types = pages ? ['post', 'page'] : ['post'];
+    const wantedTags = tags.map(t => t.toLowerCase());
+    const wantedAuthors = authors.map(a => a.toLowerCase());
+    const fromDate = parseDate(from);
+    const untilDate = parseDate(until, true);
+    const slugPatterns = slugs.map(globToRegExp);
+
+    return (post) => {
+        if (!types.includes(post.type || 'post') || !statuses.includes(post.status)) return false;
+        if (wantedTags.length > 0 && !wantedTags.some(t => postTagKeys.get(post.id)?.has(t))) return false;
+        if (wantedAuthors.length > 0 && !wantedAuthors.some(a => postAuthorKeys.get(post.id)?.has(a))) return false;
+        if (fromDate || untilDate) {
+            const date = postDate(post);
+            if (!date || (fromDate && date < fromDate) || (untilDate && date > untilDate)) return false;
+        }
+        if (slugPatterns.length > 0 && !slugPatterns.some(pattern => pattern.test(post.slug))) return false;
+        return true;
+    };
+};
+
+module.exports = { STATUSES, globToRegExp, parseDate, postDate, createFilter };
@@ -0,0 +1,148 @@
+// lib/export/images.js — Copy the Ghost images a post references into a bundle next to its Markdown file
+const fs = require('fs-extra');
+const path = require('path');
+const { parseSrcset } = require('../crawler');
+
+// Stands in for __GHOST_URL__ and root-relative URLs while parsing
+const PLACEHOLDER_ORIGIN = 'http://ghost.invalid';
+// Ghost's resized copies: /content/images/size/w600[h400]/[format/webp/]<path>
+const variantPattern = /^size\/w\d+(?:h\d+)?\/(?:format\/\w+\/)?/;
+
+/**
+ * Folder holding a post's images: the post's own directory for index.md bundles
+ * (Hugo), otherwise a folder named after the file (hello-world.md → hello-world/).
+ */
+const bundleDir = (file) => (path.basename(file) === 'index.md'
+    ? path.dirname(file)
+    : path.join(path.dirname(file), path.basename(file, '.md')));
+
+/**
+ * Create a localizer for one export run.
+ *
+ * `imagesDir` is Ghost's content/images directory, `ghostUrl` the running Ghost
+ * (for images missing locally) and `siteUrls` every origin Ghost's image URLs may
+ * use (GHOST_URL, DEPLOY_URL). Images outside /content/images/ on those origins
+ * (Unsplash feature images, other hosts) are left as they are.
+ */
+const createImageLocalizer = ({ imagesDir, ghostUrl, siteUrls = [] }) => {
+    const origins = new Set([PLACEHOLDER_ORIGIN, ...[ghostUrl, ...siteUrls].filter(Boolean).map(url => new URL(url).origin)]);
+
+    /**
+     * Path below content/images/ of a Ghost-hosted image, or null.
+     */
+    const imagePath = (src) => {
+        if (!src || src.startsWith('data:')) return null;
+        let url;
+        try {
+            url = new URL(src.replace(/__GHOST_URL__/g, PLACEHOLDER_ORIGIN), `${PLACEHOLDER_ORIGIN}/`);
+        } catch (e) {
+            return null;
+        }
+        const match = origins.has(url.origin) && url.pathname.match(/^\/content\/images\/(.+)$/);
+        if (!match) return null;
+        try {
+            return decodeURIComponent(match[1]);
+        } catch (e) {
+            return match[1];
+        }
+    };
+
+    const readLocal = (rel) => {
+        const file = path.join(imagesDir, rel);
+        return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    };
+
+    const fetchRemote = async (rel) => {
+        if (!ghostUrl) return null;
+        try {
+            const res = await fetch(new URL(`/content/images/${rel.split('/').map(encodeURIComponent).join('/')}`, ghostUrl));
+            return res.ok ? Buffer.from(await res.arrayBuffer()) : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    // Original first (resized copies are only a fallback), local before remote
+    const cache = new Map();
+    const resolve = (rel) => {
+        if (!cache.has(rel)) {
+            const original = rel.replace(variantPattern, '');
+            const candidates = original === rel ? [rel] : [original, rel];
+            cache.set(rel, (async () => {
+                for (const candidate of candidates) {
+                    const data = readLocal(candidate) || await fetchRemote(candidate);
+                    if (data) return { name: path.posix.basename(original), data };
+                }
+                return null;
+            })());
+        }
+        return cache.get(rel);
+    };
+
+    /**
+     * Copy every image of a post into its bundle and rewrite the references.
+     *
+     * Covers <img> src and srcset (gallery images included), links to images
+     * (lightboxes) and `urls` from the frontmatter (feature, Open Graph and
+     * Twitter images). Returns the rewritten HTML, a URL → relative path map for
+     * the frontmatter and the Ghost images that could not be found.
+     */
+    const localizePost = async ({ cheerio, html, urls = [], file, exportDir }) => {
+        const bundle = bundleDir(path.join(exportDir, file));
+        const linkBase = path.dirname(path.join(exportDir, file));
+        const names = new Map();
+        const localized = new Map();
+        const unresolved = new Set();
+
+        const localize = async (src) => {
+            const rel = imagePath(src);
+            if (!rel) return null;
+            if (localized.has(src)) return localized.get(src);
+
+            const image = await resolve(rel);
+            if (!image) {
+                unresolved.add(rel);
+                localized.set(src, null);
+                return null;
+            }
+            // Same file name from different upload folders: image.jpg, image-1.jpg, ...
+            const key = rel.replace(variantPattern, '');
+            if (!names.has(key)) {
+                const taken = new Set(names.values());
+                const { name, ext } = path.parse(image.name);
+                let candidate = image.name;
+                for (let i = 1; taken.has(candidate); i++) candidate = `${name}-${i}${ext}`;
+                names.set(key, candidate);
+                fs.outputFileSync(path.join(bundle, candidate), image.data);
+            }
+            const link = path.relative(linkBase, path.join(bundle, names.get(key))).split(path.sep).join('/');
+            localized.set(src, link);
+            return link;
+        };
+
+        const $ = cheerio.load(html || '', null, false);
+        for (const el of $('img').toArray()) {
+            const $img = $(el);
+            const srcset = $img.attr('srcset') ? parseSrcset($img.attr('srcset')) : [];
+            for (const candidate of srcset) await localize(candidate);
+            const src = $img.attr('src') || srcset[srcset.length - 1];
+            const link = await localize(src);
+            if (link) {
+                $img.attr('src', link);
+                $img.removeAttr('srcset');
+                $img.removeAttr('sizes');
+            }
+        }
+        for (const el of $('a[href]').toArray()) {
+            const link = imagePath($(el).attr('href')) && await localize($(el).attr('href'));
+            if (link) $(el).attr('href', link);
+        }
+        for (const url of urls) await localize(url);
+
+        return { html: $.html(), localized, unresolved: [...unresolved] };
+    };
+
+    return { localizePost };
+};
+
+module.exports = { createImageLocalizer, bundleDir };
@@ -0,0 +1,106 @@
+// lib/export/links.js — Point links between exported entries at their Markdown files
+const path = require('path');
+
+// Stands in for __GHOST_URL__ and root-relative URLs while parsing
+const PLACEHOLDER_ORIGIN = 'http://ghost.invalid';
+// Ghost routes that are never a post or page
+const ARCHIVE_ROUTES = { tag: 'tag archive', author: 'author archive' };
+const IGNORED_ROUTES = ['content', 'ghost', 'members', 'assets', 'public', 'rss', 'p'];
+
+const toPosix = (p) => p.split(path.sep).join('/');
+
+/**
+ * Create a link rewriter for one export run.
+ *
+ * `files` maps the slug of every exported entry to its path (relative to the
+ * export directory), `slugs` holds every slug in the Ghost data (exported or
+ * not) and `siteUrls` the origins Ghost's absolute links may use (GHOST_URL,
+ * DEPLOY_URL). With `wikilinks`, links are marked for the `wikilink` Turndown
+ * rule instead of pointing at a relative path.
+ */
+const createLinkRewriter = ({ files, slugs, siteUrls = [], wikilinks = false }) => {
+    const origins = new Set([PLACEHOLDER_ORIGIN, ...siteUrls.filter(Boolean).map(url => new URL(url).origin)]);
+
+    /**
+     * Parse an internal link: { slug, hash } for an entry (including date-based
+     * permalinks such as /2024/03/slug/), { route } for archives, null otherwise.
+     */
+    const parseLink = (href) => {
+        if (!href || /^(?:#|mailto:|tel:|data:|javascript:)/i.test(href)) return null;
+        // Relative links (e.g. rewritten image links) are not Ghost URLs
+        if (!/^(?:__GHOST_URL__|\/|[a-z][a-z\d+.-]*:)/i.test(href)) return null;
+        let url;
+        try {
+            url = new URL(href.replace(/^__GHOST_URL__/, PLACEHOLDER_ORIGIN), `${PLACEHOLDER_ORIGIN}/`);
+        } catch (e) {
+            return null;
+        }
+        if (!origins.has(url.origin)) return null;
+
+        const segments = url.pathname.split('/').filter(Boolean).map(segment => {
+            try {
+                return decodeURIComponent(segment);
+            } catch (e) {
+                return segment;
+            }
+        });
+        if (segments.length === 0 || IGNORED_ROUTES.includes(segments[0]) || path.posix.extname(url.pathname)) return null;
+        if (ARCHIVE_ROUTES[segments[0]]) return { route: ARCHIVE_ROUTES[segments[0]], path: url.pathname };
+        return { slug: segments[segments.length - 1], hash: url.hash, path: url.pathname };
+    };
+
+    /**
+     * Rewrite the internal links of one entry. Links to exported entries become
+     * relative .md links (or wikilinks); the others are returned as `broken`
+     * with the reason they couldn't be rewritten.
+     */
+    const rewritePost = ({ cheerio, html, file }) => {
+        const broken = [];
+        let rewritten = 0;
+        const $ = cheerio.load(html || '', null, false);
+
+        for (const el of $('a[href]').toArray()) {
+            const $a = $(el);
+            const link = parseLink($a.attr('href'));
+            if (!link) continue;
+
+            const target = link.slug && files.get(link.slug);
+            if (!target) {
+                const reason = link.route || (slugs.has(link.slug) ? 'not exported' : 'no such post or page');
+                broken.push({ href: link.path, reason });
+                continue;
+            }
+
+            if (wikilinks) {
+                $a.attr('data-wikilink', `${toPosix(target).replace(/\.md$/, '')}${link.hash}`);
+            } else if (target === file && link.hash) {
+                $a.attr('href', link.hash);
+            } else {
+                $a.attr('href', `${toPosix(path.relative(path.dirname(file), target))}${link.hash}`);
+            }
+            rewritten++;
+        }
+
+        return { html: $.html(), rewritten, broken };
+    };
+
+    return { rewritePost };
+};
+
+/**
+ * Turndown rule for links marked by a wikilinks rewriter: [[target|text]].
+ * Targets are paths from the export root without .md, so they stay unique
+ * when every file is called index.md (Hugo bundles).
+ */
+const addWikilinks = (turndown) => {
+    turndown.addRule('wikilink', {
+        filter: (node) => node.nodeName === 'A' && node.hasAttribute('data-wikilink'),
+        replacement: (content, node) => {
+            const target = node.getAttribute('data-wikilink');
+            const text = content.trim();
+            return !text || text === target ? `[[${target}]]` : `[[${target}|${text}]]`;
+        },
+    });
+};
+
+module.exports = { createLinkRewriter, addWikilinks };
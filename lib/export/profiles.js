@@ -0,0 +1,188 @@
+// lib/export/profiles.js — Frontmatter and file layout per static site generator
+const path = require('path');
+const YAML = require('yaml');
+const { postDate } = require('./filters');
+
+// SEO and social fields (from posts_meta in Ghost 4+), plus the post flags
+const EXTRA_FIELDS = [
+    'meta_title', 'meta_description',
+    'og_image', 'og_title', 'og_description',
+    'twitter_image', 'twitter_title', 'twitter_description',
+    'featured', 'visibility',
+];
+
+// --- Date Formats ---
+const isoDate = (date) => (date ? date.toISOString() : null);
+const dayDate = (date) => (date ? date.toISOString().split('T')[0] : null);
+// Jekyll's documented format: YYYY-MM-DD HH:MM:SS +0000
+const jekyllDate = (date) => (date ? `${date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '')} +0000` : null);
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * The post fields every profile draws from, with Ghost's quirks smoothed over.
+ */
+const postFields = (post, { tags, authors, normalizeUrl }) => {
+    const date = postDate(post);
+    const updated = post.published_at && post.updated_at && post.updated_at !== post.published_at
+        ? toDate(post.updated_at)
+        : null;
+    const extras = Object.fromEntries(EXTRA_FIELDS
+        .filter(field => post[field] !== null && post[field] !== undefined && post[field] !== '')
+        .map(field => [field, /_image$/.test(field) ? normalizeUrl(post[field]) : post[field]]));
+    if ('featured' in extras) extras.featured = Boolean(extras.featured);
+
+    return {
+        title: post.title,
+        slug: post.slug,
+        status: post.status,
+        draft: post.status !== 'published',
+        date,
+        updated,
+        tags,
+        authors,
+        excerpt: post.custom_excerpt || post.plaintext?.substring(0, 160).trim() || null,
+        featureImage: normalizeUrl(post.feature_image),
+        canonicalUrl: post.canonical_url || null,
+        extras,
+    };
+};
+
+// --- Profiles ---
+// Each profile maps the post fields to its frontmatter keys and names the output file;
+// `shortcodes` (optional) renders embeds the generator has built-in support for, and
+// `optionalExtras` leaves the SEO and social fields out unless the export asks for them.
+
+const generic = {
+    description: 'The original schema: slug.md, pages in pages/',
+    // Its schema predates the extra fields: existing consumers get what they always got
+    optionalExtras: true,
+    frontmatter: (f) => ({
+        title: f.title,
+        slug: f.slug,
+        status: f.status,
+        date: dayDate(f.date),
+        updated: dayDate(f.updated),
+        ...(f.authors.length === 1 ? { author: f.authors[0] } : { authors: f.authors }),
+        tags: f.tags,
+        excerpt: f.excerpt,
+        feature_image: f.featureImage,
+        canonical_url: f.canonicalUrl,
+        ...f.extras,
+    }),
+    file: (post) => (post.type === 'page' ? path.join('pages', `${post.slug}.md`) : `${post.slug}.md`),
+};
+
+const hugo = {
+    description: 'Hugo page bundles: posts/<slug>/index.md, pages/<slug>/index.md',
+    frontmatter: (f) => ({
+        title: f.title,
+        slug: f.slug,
+        // Keep Ghost's URLs whatever the section layout
+        url: `/${f.slug}/`,
+        date: isoDate(f.date),
+        lastmod: isoDate(f.updated),
+        draft: f.draft,
+        authors: f.authors,
+        tags: f.tags,
+        summary: f.excerpt,
+        description: f.extras.meta_description,
+        images: f.featureImage ? [f.featureImage] : [],
+        canonicalURL: f.canonicalUrl,
+        ...f.extras,
+    }),
+    file: (post) => path.join(post.type === 'page' ? 'pages' : 'posts', post.slug, 'index.md'),
+    // Hugo's built-in embed shortcodes
+    shortcodes: {
+        youtube: ({ id }) => `{{< youtube ${id} >}}`,
+        vimeo: ({ id }) => `{{< vimeo ${id} >}}`,
+        tweet: ({ user, id }) => `{{< tweet user="${user}" id="${id}" >}}`,
+    },
+};
+
+const jekyll = {
+    description: 'Jekyll: _posts/YYYY-MM-DD-slug.md, drafts in _drafts/, pages in the root',
+    frontmatter: (f, post) => ({
+        layout: post.type === 'page' ? 'page' : 'post',
+        title: f.title,
+        date: jekyllDate(f.date),
+        last_modified_at: jekyllDate(f.updated),
+        ...(f.authors.length === 1 ? { author: f.authors[0] } : { authors: f.authors }),
+        tags: f.tags,
+        excerpt: f.excerpt,
+        image: f.featureImage,
+        canonical_url: f.canonicalUrl,
+        permalink: `/${f.slug}/`,
+        ...f.extras,
+    }),
+    file: (post) => {
+        if (post.type === 'page') return `${post.slug}.md`;
+        if (post.status === 'draft') return path.join('_drafts', `${post.slug}.md`);
+        return path.join('_posts', `${dayDate(postDate(post))}-${post.slug}.md`);
+    },
+};
+
+const eleventy = {
+    description: 'Eleventy: posts/<slug>.md (in the "posts" collection), pages/<slug>.md',
+    frontmatter: (f, post) => ({
+        title: f.title,
+        date: isoDate(f.date),
+        // Eleventy's tags double as collections
+        tags: post.type === 'page' ? f.tags : ['posts', ...f.tags],
+        author: f.authors.join(', '),
+        description: f.extras.meta_description || f.excerpt,
+        excerpt: f.excerpt,
+        image: f.featureImage,
+        canonical_url: f.canonicalUrl,
+        // Drafts are neither rendered nor listed
+        permalink: f.draft ? false : `/${f.slug}/`,
+        eleventyExcludeFromCollections: f.draft ? true : null,
+        ...f.extras,
+    }),
+    file: (post) => path.join(post.type === 'page' ? 'pages' : 'posts', `${post.slug}.md`),
+};
+
+const astro = {
+    description: 'Astro content collections: blog/<slug>.md, pages/<slug>.md',
+    frontmatter: (f) => ({
+        title: f.title,
+        description: f.extras.meta_description || f.excerpt,
+        pubDate: isoDate(f.date),
+        updatedDate: isoDate(f.updated),
+        heroImage: f.featureImage,
+        author: f.authors.join(', '),
+        tags: f.tags,
+        draft: f.draft,
+        canonicalURL: f.canonicalUrl,
+        ...f.extras,
+    }),
+    file: (post) => path.join(post.type === 'page' ? 'pages' : 'blog', `${post.slug}.md`),
+};
+
+const PROFILES = { generic, hugo, jekyll, eleventy, astro };
+
+// --- Serialization ---
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Serialize frontmatter through the YAML emitter, dropping empty values.
+ * YAML 1.1 output quotes strings such as `yes`, `on` or dates that older
+ * parsers (Jekyll's Psych, Hugo) would otherwise read as booleans or timestamps.
+ */
+const renderFrontmatter = (data) => {
+    const cleaned = Object.fromEntries(Object.entries(data).filter(([, value]) => !isEmpty(value)));
+    return `---\n${YAML.stringify(cleaned, { version: '1.1', lineWidth: 0 })}---`;
+};
+
+/**
+ * Frontmatter block and output path (relative to the export directory) of a post.
+ * `context.extras` adds the SEO and social fields to profiles that leave them out.
+ */
+const renderPost = (profile, post, context) => {
+    const fields = postFields(post, context);
+    if (profile.optionalExtras && !context.extras) fields.extras = {};
+    return { frontmatter: renderFrontmatter(profile.frontmatter(fields, post)), file: profile.file(post) };
+};
+
+module.exports = { PROFILES, EXTRA_FIELDS, renderFrontmatter, renderPost };
@@ -0,0 +1,83 @@
+// lib/export/turndown.js — Turndown service that converts Ghost's post HTML to Markdown
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+const { addGhostCards } = require('./cards');
+const { addWikilinks } = require('./links');
+
+/**
+ * The HTML → Markdown converter of an export profile: GitHub Flavored Markdown,
+ * Ghost's cards and wikilinks. Run HTML through protectHtmlCards() first.
+ */
+const createTurndownService = (profile) => {
+    const turndown = new TurndownService({
+        headingStyle: 'atx',
+        codeBlockStyle: 'fenced',
+        bulletListMarker: '-',
+        emDelimiter: '*',
+        strongDelimiter: '**',
+        hr: '---',
+    });
+
+    // Enable GitHub Flavored Markdown (tables, strikethrough, task lists)
+    turndown.use(gfm);
+
+    // Custom rule: preserve figure/figcaption as image + italic caption
+    turndown.addRule('figure', {
+        filter: 'figure',
+        replacement: (content, node) => {
+            const img = node.querySelector('img');
+            const figcaption = node.querySelector('figcaption');
+            if (!img) return content;
+
+            const src = img.getAttribute('src') || '';
+            const alt = img.getAttribute('alt') || figcaption?.textContent || '';
+            const caption = figcaption ? `\n*${figcaption.textContent.trim()}*` : '';
+            return `\n\n![${alt}](${src})${caption}\n\n`;
+        },
+    });
+
+    // Custom rule: Ghost bookmark cards → titled links
+    turndown.addRule('ghostBookmark', {
+        filter: (node) => {
+            return node.nodeName === 'FIGURE' &&
+                node.className && node.className.includes('kg-bookmark-card');
+        },
+        replacement: (content, node) => {
+            const link = node.querySelector('a.kg-bookmark-container');
+            const title = node.querySelector('.kg-bookmark-title');
+            if (!link) return content;
+
+            const href = link.getAttribute('href') || '';
+            const text = title ? title.textContent.trim() : href;
+            const figcaption = node.querySelector('figcaption');
+            const caption = figcaption && figcaption.textContent.trim() ? `\n\n*${figcaption.textContent.trim()}*` : '';
+            return `\n\n[${text}](${href})${caption}\n\n`;
+        },
+    });
+
+    // Custom rule: Ghost callout/aside cards
+    turndown.addRule('ghostCallout', {
+        filter: (node) => {
+            return node.nodeName === 'DIV' &&
+                node.className && node.className.includes('kg-callout-card');
+        },
+        replacement: (content, node) => {
+            const emoji = node.querySelector('.kg-callout-emoji');
+            const text = node.querySelector('.kg-callout-text');
+            if (!text) return content;
+
+            // Keep the text's formatting; every line of it stays inside the quote
+            const prefix = emoji && emoji.textContent.trim() ? `${emoji.textContent.trim()} ` : '';
+            const markdown = turndown.turndown(text.innerHTML).trim();
+            return `\n\n${`${prefix}${markdown}`.replace(/^/gm, '> ')}\n\n`;
+        },
+    });
+
+    // Every other Ghost card (galleries, media, toggles, embeds, code, HTML, ...)
+    addGhostCards(turndown, { shortcodes: profile.shortcodes });
+    addWikilinks(turndown);
+
+    return turndown;
+};
+
+module.exports = { createTurndownService };
@@ -0,0 +1,347 @@
+// lib/feeds.js — RSS 2.0, Atom and JSON Feed 1.1 for the whole site and every tag and author
+const fs = require('fs-extra');
+const path = require('path');
+const { extractSitemapUrls } = require('./crawler');
+const { bodySelectors } = require('./search');
+
+// Feed files per scope (site root, /tag/<slug>/, /author/<slug>/); RSS keeps Ghost's /rss/ URL
+const FEED_FILES = { rss: 'rss/index.html', atom: 'atom.xml', json: 'feed.json' };
+const FEED_TYPES = { rss: 'application/rss+xml', atom: 'application/atom+xml', json: 'application/feed+json' };
+const ARCHIVES = ['tag', 'author'];
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif',
+    '.webp': 'image/webp', '.avif': 'image/avif', '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.ogg': 'audio/ogg', '.wav': 'audio/wav',
+    '.mp4': 'video/mp4', '.webm': 'video/webm', '.mov': 'video/quicktime',
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+const cdata = (value) => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+const toDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Every JSON-LD object of a page.
+ */
+const readJsonLd = ($) => $('script[type="application/ld+json"]').toArray().flatMap(el => {
+    try {
+        return [].concat(JSON.parse($(el).html()));
+    } catch (e) {
+        return []; // malformed JSON-LD
+    }
+});
+
+// --- Extraction ---
+
+/**
+ * Read a post's feed item from its mirrored HTML: metadata from the meta tags and
+ * the JSON-LD Article, full content from the post body with absolute URLs.
+ */
+const extractItem = (cheerio, html, url, context) => {
+    const $ = cheerio.load(html);
+    const meta = (selector) => ($(selector).attr('content') || '').trim();
+    const article = readJsonLd($).find(data => /Article/.test(data['@type'])) || {};
+
+    const selector = bodySelectors.find(sel => $(sel).length > 0);
+    const $content = selector ? $(selector).first() : null;
+    const absolute = (ref) => {
+        try {
+            return new URL(ref, url).href;
+        } catch (e) {
+            return ref;
+        }
+    };
+    if ($content) {
+        $content.find('script').remove();
+        $content.find('[src], [href], [poster]').each((_, el) => {
+            ['src', 'href', 'poster'].forEach(attr => {
+                const value = $(el).attr(attr);
+                if (value && !value.startsWith('#') && !value.startsWith('data:')) $(el).attr(attr, absolute(value));
+            });
+        });
+        $content.find('[style*="url("]').each((_, el) => {
+            $(el).attr('style', $(el).attr('style').replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, ref) => (ref.startsWith('data:')
+                ? match
+                : `url(${quote}${absolute(ref.trim())}${quote})`)));
+        });
+        $content.find('[srcset]').each((_, el) => {
+            const srcset = $(el).attr('srcset').split(',').map(candidate => {
+                const [ref, ...descriptor] = candidate.trim().split(/\s+/);
+                return [absolute(ref), ...descriptor].join(' ');
+            });
+            $(el).attr('srcset', srcset.join(', '));
+        });
+    }
+
+    const image = meta('meta[property="og:image"]') || article.image?.url || (typeof article.image === 'string' ? article.image : '');
+    const media = $content
+        ? $content.find('audio[src], video[src], audio source[src], video source[src]').map((_, el) => $(el).attr('src')).get()
+        : [];
+
+    return {
+        url,
+        title: meta('meta[property="og:title"]') || article.headline || $('title').first().text().trim(),
+        summary: meta('meta[name="description"]') || meta('meta[property="og:description"]') || article.description || '',
+        content: $content ? $content.html().trim() : '',
+        published: toDate(meta('meta[property="article:published_time"]') || article.datePublished),
+        modified: toDate(meta('meta[property="article:modified_time"]') || article.dateModified),
+        authors: [].concat(article.author || []).filter(author => author?.name).map(author => ({ name: author.name, url: author.url })),
+        tags: $('meta[property="article:tag"]').map((_, el) => $(el).attr('content')).get(),
+        image: image ? absolute(image) : null,
+        enclosures: [...new Set(media.map(absolute))].map(ref => enclosure(ref, context)),
+    };
+};
+
+/**
+ * Site path of a URL path that may carry the site's base path (pages reused
+ * from a previous build of a site served from a subpath).
+ */
+const withoutBasePath = (urlPath, basePath) => (basePath && urlPath.startsWith(`${basePath}/`) ? urlPath.slice(basePath.length) : urlPath);
+
+/**
+ * Enclosure of a media URL: its MIME type and, for files in distDir, its size.
+ */
+const enclosure = (url, { siteUrl, distDir, basePath }) => {
+    let length = 0;
+    try {
+        const parsed = new URL(url);
+        if (parsed.origin === new URL(siteUrl).origin) {
+            const file = path.join(distDir, decodeURIComponent(withoutBasePath(parsed.pathname, basePath)));
+            if (fs.existsSync(file) && fs.statSync(file).isFile()) length = fs.statSync(file).size;
+        }
+    } catch (e) { /* not a URL — no size */ }
+    const ext = path.extname(url.split(/[?#]/)[0]).toLowerCase();
+    return { url, type: MIME_TYPES[ext] || 'application/octet-stream', length };
+};
+
+/**
+ * Tag and author archives in distDir: { kind, slug, name, path, linked } where
+ * `linked` holds the post paths their pages (pagination included) link to.
+ */
+const collectArchives = (cheerio, distDir, { siteUrl, basePath, postPaths, siteTitle }) => ARCHIVES.flatMap(kind => {
+    const base = path.join(distDir, kind);
+    if (!fs.existsSync(base)) return [];
+    const origin = new URL(siteUrl).origin;
+
+    return fs.readdirSync(base).flatMap(slug => {
+        const dir = path.join(base, slug);
+        if (!fs.existsSync(path.join(dir, 'index.html'))) {
+            // Archive gone (incremental build): drop the feeds it left behind
+            if (fs.existsSync(dir)) Object.values(FEED_FILES).forEach(file => fs.removeSync(path.join(dir, file)));
+            return [];
+        }
+        const pageDir = path.join(dir, 'page');
+        const pages = [path.join(dir, 'index.html'), ...(fs.existsSync(pageDir)
+            ? fs.readdirSync(pageDir).map(n => path.join(pageDir, n, 'index.html')).filter(file => fs.existsSync(file))
+            : [])];
+        const archivePath = `/${kind}/${slug}/`;
+
+        const linked = new Set();
+        let name = null;
+        pages.forEach((file, i) => {
+            const $ = cheerio.load(fs.readFileSync(file, 'utf8'));
+            if (i === 0) {
+                const ogTitle = ($('meta[property="og:title"]').attr('content') || '').trim();
+                name = readJsonLd($).find(data => ['Series', 'Person'].includes(data['@type']) && data.name)?.name ||
+                    ogTitle.replace(` - ${siteTitle}`, '') ||
+                    $('h1').first().text().trim() ||
+                    slug;
+            }
+            $('a[href]').each((_, el) => {
+                try {
+                    const url = new URL($(el).attr('href'), `${origin}${archivePath}`);
+                    const urlPath = withoutBasePath(url.pathname, basePath);
+                    if (url.origin === origin && postPaths.has(urlPath)) linked.add(urlPath);
+                } catch (e) { /* not a URL */ }
+            });
+        });
+        return [{ kind, slug, name, path: archivePath, linked }];
+    });
+});
+
+// --- Rendering ---
+
+const feedUrls = (siteUrl, scopePath) => Object.fromEntries(Object.entries(FEED_FILES)
+    .map(([type, file]) => [type, new URL(`${scopePath}${file.replace(/index\.html$/, '')}`, siteUrl).href]));
+
+const renderRss = (feed, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+<channel>
+<title>${cdata(feed.title)}</title>
+<description>${cdata(feed.description)}</description>
+<link>${escapeXml(feed.homeUrl)}</link>
+${feed.icon ? `<image><url>${escapeXml(feed.icon)}</url><title>${cdata(feed.title)}</title><link>${escapeXml(feed.homeUrl)}</link></image>\n` : ''}<generator>ghost-blog-static-builder</generator>
+<lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+<atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>
+${feed.language ? `<language>${escapeXml(feed.language)}</language>\n` : ''}${items.map(item => {
+        // RSS allows one enclosure: the first audio/video, else the feature image
+        const media = item.enclosures[0] || (item.image && enclosure(item.image, feed));
+        return `<item>
+<title>${cdata(item.title)}</title>
+<description>${cdata(item.summary)}</description>
+<link>${escapeXml(item.url)}</link>
+<guid isPermaLink="true">${escapeXml(item.url)}</guid>
+${item.tags.map(tag => `<category>${cdata(tag)}</category>\n`).join('')}${item.authors.map(author => `<dc:creator>${cdata(author.name)}</dc:creator>\n`).join('')}${item.published ? `<pubDate>${item.published.toUTCString()}</pubDate>\n` : ''}${item.image ? `<media:content url="${escapeXml(item.image)}" medium="image"/>\n` : ''}${media ? `<enclosure url="${escapeXml(media.url)}" length="${media.length}" type="${media.type}"/>\n` : ''}<content:encoded>${cdata(item.content)}</content:encoded>
+</item>`;
+    }).join('\n')}
+</channel>
+</rss>
+`;
+
+const renderAtom = (feed, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${escapeXml(feed.language)}"` : ''}>
+<id>${escapeXml(feed.homeUrl)}</id>
+<title>${escapeXml(feed.title)}</title>
+${feed.description ? `<subtitle>${escapeXml(feed.description)}</subtitle>\n` : ''}<link href="${escapeXml(feed.homeUrl)}" rel="alternate" type="text/html"/>
+<link href="${escapeXml(feed.urls.atom)}" rel="self" type="application/atom+xml"/>
+${feed.icon ? `<icon>${escapeXml(feed.icon)}</icon>\n` : ''}<updated>${(items.map(item => item.modified || item.published).filter(Boolean).sort((a, b) => b - a)[0] || new Date()).toISOString()}</updated>
+<generator>ghost-blog-static-builder</generator>
+${items.map(item => `<entry>
+<id>${escapeXml(item.url)}</id>
+<title>${escapeXml(item.title)}</title>
+<link href="${escapeXml(item.url)}" rel="alternate" type="text/html"/>
+${[...item.enclosures, ...(item.image ? [enclosure(item.image, feed)] : [])].map(media => `<link href="${escapeXml(media.url)}" rel="enclosure" type="${media.type}" length="${media.length}"/>\n`).join('')}${item.published ? `<published>${item.published.toISOString()}</published>\n` : ''}<updated>${(item.modified || item.published || new Date()).toISOString()}</updated>
+${item.authors.map(author => `<author><name>${escapeXml(author.name)}</name>${author.url ? `<uri>${escapeXml(author.url)}</uri>` : ''}</author>\n`).join('')}${item.tags.map(tag => `<category term="${escapeXml(tag)}"/>\n`).join('')}${item.summary ? `<summary>${escapeXml(item.summary)}</summary>\n` : ''}<content type="html">${escapeXml(item.content)}</content>
+</entry>`).join('\n')}
+</feed>
+`;
+
+const renderJsonFeed = (feed, items) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.urls.json,
+    description: feed.description || undefined,
+    icon: feed.icon || undefined,
+    language: feed.language || undefined,
+    items: items.map(item => ({
+        id: item.url,
+        url: item.url,
+        title: item.title,
+        content_html: item.content,
+        summary: item.summary || undefined,
+        image: item.image || undefined,
+        date_published: item.published?.toISOString(),
+        date_modified: item.modified?.toISOString(),
+        authors: item.authors.length > 0 ? item.authors.map(({ name, url }) => ({ name, url })) : undefined,
+        tags: item.tags.length > 0 ? item.tags : undefined,
+        attachments: item.enclosures.length > 0
+            ? item.enclosures.map(media => ({ url: media.url, mime_type: media.type, size_in_bytes: media.length || undefined }))
+            : undefined,
+    })),
+}, null, 2);
+
+// --- Build ---
+
+/**
+ * Write the site feeds and one set per tag and author archive into distDir.
+ *
+ * Posts come from the mirrored sitemap-posts.xml (newest first, `limit` per
+ * feed). A post belongs to a tag by its article:tag names and to an author by
+ * the author URLs in its JSON-LD; themes without that metadata fall back to
+ * the posts the archive pages link to. `basePath` is the site's base path,
+ * which pages reused from the previous build already carry in their links.
+ * Returns the feeds written: [{ kind, slug, name, path, title, urls, count }],
+ * the site feeds first.
+ */
+const buildFeeds = ({ cheerio, distDir, siteUrl, basePath = '', limit }) => {
+    const sitemap = path.join(distDir, 'sitemap-posts.xml');
+    const postPaths = fs.existsSync(sitemap)
+        ? extractSitemapUrls(cheerio, fs.readFileSync(sitemap, 'utf8'))
+            .map(loc => new URL(loc).pathname)
+            .filter(urlPath => urlPath.endsWith('/') && fs.existsSync(path.join(distDir, decodeURIComponent(urlPath), 'index.html')))
+        : [];
+    const context = { siteUrl, distDir, basePath };
+    const items = new Map(postPaths.map(urlPath => [urlPath, extractItem(
+        cheerio,
+        fs.readFileSync(path.join(distDir, decodeURIComponent(urlPath), 'index.html'), 'utf8'),
+        new URL(urlPath, siteUrl).href,
+        context
+    )]));
+    const newest = (a, b) => (b.published || 0) - (a.published || 0);
+
+    // Site metadata from the home page
+    const home = path.join(distDir, 'index.html');
+    const $ = cheerio.load(fs.existsSync(home) ? fs.readFileSync(home, 'utf8') : '');
+    const siteTitle = ($('meta[property="og:site_name"]').attr('content') || $('title').first().text()).trim();
+    const site = {
+        title: siteTitle,
+        description: ($('meta[name="description"]').attr('content') || '').trim(),
+        language: $('html').attr('lang') || null,
+        icon: $('link[rel~="icon"]').attr('href') ? new URL($('link[rel~="icon"]').attr('href'), siteUrl).href : null,
+    };
+
+    const pathOf = (url) => {
+        try {
+            return withoutBasePath(new URL(url, siteUrl).pathname, basePath);
+        } catch (e) {
+            return null;
+        }
+    };
+    const belongsTo = (archive, item) => (archive.kind === 'tag'
+        ? item.tags.includes(archive.name)
+        : item.authors.some(author => author.url && pathOf(author.url) === archive.path));
+    const scopes = [
+        { kind: 'site', slug: null, name: siteTitle, path: '/', posts: postPaths },
+        ...collectArchives(cheerio, distDir, { siteUrl, basePath, postPaths: new Set(postPaths), siteTitle }).map(archive => {
+            const tagged = postPaths.filter(urlPath => belongsTo(archive, items.get(urlPath)));
+            return { ...archive, posts: tagged.length > 0 ? tagged : [...archive.linked] };
+        }),
+    ];
+
+    return scopes.map(scope => {
+        const feed = {
+            ...site,
+            ...context,
+            title: scope.kind === 'site' ? site.title : `${scope.name} - ${site.title}`,
+            homeUrl: new URL(scope.path, siteUrl).href,
+            urls: feedUrls(siteUrl, scope.path),
+        };
+        const scoped = scope.posts.map(urlPath => items.get(urlPath)).sort(newest).slice(0, limit);
+        const dir = path.join(distDir, scope.path);
+        fs.outputFileSync(path.join(dir, FEED_FILES.rss), renderRss(feed, scoped));
+        fs.outputFileSync(path.join(dir, FEED_FILES.atom), renderAtom(feed, scoped));
+        fs.outputFileSync(path.join(dir, FEED_FILES.json), renderJsonFeed(feed, scoped));
+        return { kind: scope.kind, slug: scope.slug, name: scope.name, path: scope.path, title: feed.title, urls: feed.urls, count: scoped.length };
+    });
+};
+
+/**
+ * Replace a page's feed <link rel="alternate"> tags with those of `feeds` (idempotent).
+ * Ghost's own link to the same RSS feed is kept instead of being duplicated, also
+ * when it carries the site's `basePath` already.
+ */
+const injectFeedLinks = (cheerio, htmlContent, feeds, basePath = '') => {
+    const $ = cheerio.load(htmlContent);
+    $('link[data-static-feed]').remove();
+    const siteHref = (href) => {
+        try {
+            const url = new URL(href);
+            url.pathname = withoutBasePath(url.pathname, basePath);
+            return url.href;
+        } catch (e) {
+            return href;
+        }
+    };
+    const existing = new Set($('link[rel="alternate"]').map((_, el) => siteHref($(el).attr('href'))).get());
+
+    feeds.forEach(feed => Object.entries(feed.urls).forEach(([type, url]) => {
+        if (existing.has(url)) return;
+        $('head').append(`<link rel="alternate" type="${FEED_TYPES[type]}" title="${escapeXml(feed.title)}" href="${escapeXml(url)}" data-static-feed>`);
+    }));
+    return $.html();
+};
+
+/**
+ * Whether a file in distDir holds XML (mirrored or generated RSS saved as index.html).
+ */
+const isXmlFeed = (content) => /^\s*<\?xml/.test(content);
+
+module.exports = { FEED_FILES, buildFeeds, injectFeedLinks, isXmlFeed };
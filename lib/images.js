@@ -0,0 +1,253 @@
+// lib/images.js — Responsive image pipeline for mirrored Ghost images (WebP/AVIF, srcset, <picture>)
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { getFiles } = require('./utils');
+const { parseSrcset } = require('./crawler');
+
+const IMAGES_DIR = 'content/images';
+// Generated renditions live apart from Ghost's files: content/images/optimized/<path>-<width>w.<ext>
+const OPTIMIZED_DIR = `${IMAGES_DIR}/optimized`;
+// Ghost's resized copies: content/images/size/w600[h400]/[format/webp/]<path>
+const variantPattern = /^content\/images\/size\/w(\d+)(?:h\d+)?\/(?:format\/(\w+)\/)?(.+)$/;
+// The same, as it appears inside HTML/CSS references
+const variantRefPattern = /content\/images\/size\/w(\d+)(?:h\d+)?\/(?:format\/(\w+)\/)?([^"'\s)>,?#]+)/g;
+
+const PROCESSABLE = ['.jpg', '.jpeg', '.png', '.webp'];
+const MIME_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+
+const toPosix = (p) => p.split(path.sep).join('/');
+const formatOf = (ext) => ({ '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png', '.webp': 'webp' })[ext];
+
+/**
+ * Group every file under content/images by its original path, with Ghost's size variants attached.
+ */
+const collectImages = (distDir) => {
+    const groups = new Map();
+    const group = (rel) => {
+        if (!groups.has(rel)) groups.set(rel, { original: false, variants: [] });
+        return groups.get(rel);
+    };
+
+    getFiles(path.join(distDir, IMAGES_DIR)).forEach(file => {
+        const rel = toPosix(path.relative(distDir, file));
+        if (rel.startsWith(`${OPTIMIZED_DIR}/`)) return;
+        const variant = rel.match(variantPattern);
+        if (variant) {
+            group(`${IMAGES_DIR}/${variant[3]}`).variants.push({ rel, width: Number(variant[1]), format: variant[2] || null });
+        } else {
+            group(rel).original = true;
+        }
+    });
+
+    // Only raster formats sharp can re-encode; SVG/GIF/ICO are left alone
+    for (const [rel] of groups) {
+        if (!PROCESSABLE.includes(path.extname(rel).toLowerCase())) groups.delete(rel);
+    }
+    return groups;
+};
+
+/**
+ * Rendition path for an original at a width and format.
+ */
+const renditionPath = (originalRel, width, format) => {
+    const parsed = path.posix.parse(originalRel.slice(IMAGES_DIR.length + 1));
+    const ext = format === 'jpeg' ? parsed.ext.toLowerCase() : `.${format}`;
+    return `${OPTIMIZED_DIR}/${parsed.dir ? `${parsed.dir}/` : ''}${parsed.name}-${width}w${ext}`;
+};
+
+// --- Encoding (cached by content hash) ---
+
+/**
+ * Encode one image: the metadata-stripped original plus every width × format rendition.
+ *
+ * Results are cached under cacheDir by a hash of the input and the settings. The
+ * stripped original is registered as an alias of the same entry, so later builds
+ * that find the already-optimized file in dist/ still hit the cache.
+ */
+const encodeImage = async (sharp, input, ext, settings, cacheDir) => {
+    const settingsHash = JSON.stringify(settings);
+    const keyOf = (buffer) => crypto.createHash('sha256').update(buffer).update(settingsHash).digest('hex');
+
+    let key = keyOf(input);
+    const aliasFile = path.join(cacheDir, `${key}.alias`);
+    if (fs.existsSync(aliasFile)) key = fs.readFileSync(aliasFile, 'utf8').trim();
+    const entryDir = path.join(cacheDir, key);
+    const metaFile = path.join(entryDir, 'meta.json');
+    if (fs.existsSync(metaFile)) return { dir: entryDir, meta: fs.readJsonSync(metaFile), cached: true };
+
+    const format = formatOf(ext);
+    const encoder = (pipeline, f) => pipeline.toFormat(f, f === 'png' ? { compressionLevel: 9 } : { quality: settings.quality[f], ...(f === 'jpeg' && { mozjpeg: true }) });
+
+    // .rotate() applies EXIF orientation; sharp drops EXIF/XMP/IPTC metadata on output
+    const original = await encoder(sharp(input).rotate(), format).toBuffer({ resolveWithObject: true });
+    const { width, height } = original.info;
+    const widths = [...new Set(settings.widths.map(w => Math.min(w, width)))].sort((a, b) => a - b);
+
+    fs.ensureDirSync(entryDir);
+    fs.writeFileSync(path.join(entryDir, `original${ext}`), original.data);
+    const renditions = [];
+    for (const f of new Set([format, ...settings.formats])) {
+        for (const w of widths) {
+            const file = `${w}.${f}`;
+            const { data } = await encoder(sharp(input).rotate().resize({ width: w }), f).toBuffer({ resolveWithObject: true });
+            fs.writeFileSync(path.join(entryDir, file), data);
+            renditions.push({ file, width: w, format: f, bytes: data.length });
+        }
+    }
+
+    const meta = { width, height, ext, inputBytes: input.length, originalBytes: original.data.length, renditions };
+    fs.writeJsonSync(metaFile, meta);
+    fs.writeFileSync(path.join(cacheDir, `${keyOf(original.data)}.alias`), key);
+    return { dir: entryDir, meta, cached: false };
+};
+
+/**
+ * Encode every mirrored image and copy the results into dist/.
+ * Returns original path → { rel, width, height, format, sets: { format: [{ rel, width }] }, variants }
+ * and build stats.
+ */
+const optimizeImages = async ({ sharp, distDir, cacheDir, settings, onImage = () => {} }) => {
+    const groups = collectImages(distDir);
+    const processed = new Map();
+    const stats = { images: 0, cached: 0, inputBytes: 0, originalBytes: 0, fullWidthBytes: {}, variantsRemoved: 0, variantBytes: 0 };
+
+    for (const [originalRel, { original, variants }] of groups) {
+        // Without the original, the largest same-format variant stands in for it
+        const source = original
+            ? originalRel
+            : variants.filter(v => !v.format).sort((a, b) => b.width - a.width)[0]?.rel;
+        if (!source) continue;
+
+        const ext = path.extname(originalRel).toLowerCase();
+        let result;
+        try {
+            result = await encodeImage(sharp, fs.readFileSync(path.join(distDir, source)), ext, settings, cacheDir);
+        } catch (e) {
+            console.warn(`⚠️  Could not optimize ${source}: ${e.message}`);
+            continue;
+        }
+        const { dir, meta, cached } = result;
+
+        fs.copySync(path.join(dir, `original${ext}`), path.join(distDir, originalRel));
+        const sets = {};
+        meta.renditions.forEach(({ file, width, format }) => {
+            const rel = renditionPath(originalRel, width, format);
+            fs.copySync(path.join(dir, file), path.join(distDir, rel));
+            (sets[format] = sets[format] || []).push({ rel, width });
+        });
+        processed.set(originalRel, { rel: originalRel, width: meta.width, height: meta.height, format: formatOf(ext), sets, variants });
+
+        stats.images++;
+        if (cached) stats.cached++;
+        stats.inputBytes += meta.inputBytes;
+        stats.originalBytes += meta.originalBytes;
+        const maxWidth = Math.max(...meta.renditions.map(r => r.width));
+        meta.renditions.filter(r => r.width === maxWidth).forEach(r => {
+            stats.fullWidthBytes[r.format] = (stats.fullWidthBytes[r.format] || 0) + r.bytes;
+        });
+        onImage(originalRel, cached);
+    }
+
+    // Renditions of images that are gone (removed posts, changed widths or formats)
+    const current = new Set([...processed.values()].flatMap(image => Object.values(image.sets).flat().map(r => r.rel)));
+    getFiles(path.join(distDir, OPTIMIZED_DIR))
+        .filter(file => !current.has(toPosix(path.relative(distDir, file))))
+        .forEach(file => fs.removeSync(file));
+
+    return { processed, stats };
+};
+
+// --- HTML / CSS Rewriting ---
+
+/**
+ * Pick the rendition that best replaces a Ghost size variant: the narrowest one at least
+ * as wide as requested, in the requested format when it was generated.
+ */
+const bestRendition = (image, width, format) => {
+    const set = image.sets[format] || image.sets[image.format];
+    return (set.find(r => r.width >= width) || set[set.length - 1]).rel;
+};
+
+/**
+ * Point leftover references to Ghost size variants (meta tags, inline styles, CSS) at renditions.
+ */
+const rewriteVariantRefs = (content, processed) => content.replace(variantRefPattern, (match, width, format, rest) => {
+    const image = processed.get(`${IMAGES_DIR}/${rest}`);
+    return image ? bestRendition(image, Number(width), format) : match;
+});
+
+/**
+ * Wrap every optimized <img> in <picture> with AVIF/WebP sources and srcset/sizes,
+ * then rewrite remaining size-variant references. Returns null when nothing changed.
+ */
+const rewriteHtml = (cheerio, html, processed, siteOrigins) => {
+    const $ = cheerio.load(html);
+    let changed = false;
+
+    $('img[src], img[srcset]').each((_, el) => {
+        const $img = $(el);
+        if ($img.parent().is('picture')) return;
+
+        // Themes sometimes lazy-load with a srcset and no src
+        const src = $img.attr('src') || parseSrcset($img.attr('srcset'))[0];
+        if (!src) return;
+        let url;
+        try {
+            url = new URL(src, 'http://static.local');
+        } catch (e) {
+            return;
+        }
+        const absolute = /^(?:https?:)?\/\//.test(src);
+        if (absolute && !siteOrigins.includes(url.origin)) return;
+
+        const rel = decodeURIComponent(url.pathname.slice(1));
+        const variant = rel.match(variantPattern);
+        const image = processed.get(variant ? `${IMAGES_DIR}/${variant[3]}` : rel);
+        if (!image) return;
+
+        // Keep the reference style of the page (absolute deploy URL or root-relative)
+        const prefix = absolute ? url.origin : '';
+        const srcset = (set) => set.map(r => `${prefix}/${r.rel} ${r.width}w`).join(', ');
+        const sizes = $img.attr('sizes') || '100vw';
+
+        const sources = Object.keys(MIME_TYPES)
+            .filter(format => image.sets[format])
+            .map(format => $('<source>').attr({ type: MIME_TYPES[format], srcset: srcset(image.sets[format]), sizes }));
+
+        $img.attr('src', `${prefix}/${image.rel}`);
+        $img.attr('srcset', srcset(image.sets[image.format]));
+        $img.attr('sizes', sizes);
+        if (!$img.attr('width') && !$img.attr('height')) {
+            $img.attr('width', String(image.width));
+            $img.attr('height', String(image.height));
+        }
+        $img.wrap('<picture></picture>');
+        $img.before(sources);
+        changed = true;
+    });
+
+    const output = rewriteVariantRefs($.html(), processed);
+    return changed || output !== html ? output : null;
+};
+
+/**
+ * Delete Ghost's size variants of every optimized image (renditions replace them).
+ * Returns the paths of all their variants, including ones already gone.
+ */
+const removeVariants = (distDir, processed, stats) => {
+    const rels = [];
+    for (const image of processed.values()) {
+        image.variants.forEach(({ rel }) => {
+            rels.push(rel);
+            const file = path.join(distDir, rel);
+            if (!fs.existsSync(file)) return;
+            stats.variantBytes += fs.statSync(file).size;
+            stats.variantsRemoved++;
+            fs.removeSync(file);
+        });
+    }
+    return rels;
+};
+
+module.exports = { collectImages, optimizeImages, rewriteHtml, rewriteVariantRefs, removeVariants };
@@ -0,0 +1,123 @@
+// lib/import/ghost-json.js — Build a Ghost import file (Universal Import) from Markdown entries
+const crypto = require('crypto');
+
+// Ghost ids are 24-character hexadecimal ObjectIds
+const objectId = () => crypto.randomBytes(12).toString('hex');
+
+/**
+ * Ghost's slug for a name: lowercase ASCII words joined by dashes; internal tags (#name) get a hash- prefix.
+ */
+const slugify = (name) => {
+    const slug = name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return name.startsWith('#') ? `hash-${slug}` : slug;
+};
+
+/**
+ * Index rows by their lowercase name and slug.
+ */
+const indexByName = (rows) => {
+    const index = new Map();
+    rows.forEach(row => [row.slug, row.name].filter(Boolean).forEach(key => {
+        if (!index.has(key.toLowerCase())) index.set(key.toLowerCase(), row);
+    }));
+    return index;
+};
+
+/**
+ * Build the import file for `entries` (from readEntries, with their `html`).
+ *
+ * `existing` holds Ghost's current tables (or null): tags and authors are matched
+ * by name or slug and entries by slug, so a post that is already in Ghost keeps its
+ * id, uuid and creation date instead of being imported as a second copy. Authors
+ * that don't exist yet are created with a placeholder address at example.com.
+ */
+const buildImport = (entries, existing, { now = new Date() } = {}) => {
+    const timestamp = now.toISOString();
+    const postsBySlug = new Map((existing?.posts || []).map(post => [post.slug, post]));
+    const existingTags = indexByName(existing?.tags || []);
+    const existingUsers = indexByName(existing?.users || []);
+
+    const tags = new Map();
+    const users = new Map();
+    const stats = { created: 0, updated: 0, newTags: [], newUsers: [] };
+
+    const tagFor = (name) => {
+        const key = name.toLowerCase();
+        if (!tags.has(key)) {
+            const match = existingTags.get(key) || existingTags.get(slugify(name));
+            if (!match) stats.newTags.push(name);
+            tags.set(key, match
+                ? { id: match.id, name: match.name, slug: match.slug, visibility: match.visibility || 'public' }
+                : { id: objectId(), name, slug: slugify(name), visibility: name.startsWith('#') ? 'internal' : 'public' });
+        }
+        return tags.get(key);
+    };
+
+    const userFor = (name) => {
+        const key = name.toLowerCase();
+        if (!users.has(key)) {
+            const match = existingUsers.get(key) || existingUsers.get(slugify(name));
+            if (!match) stats.newUsers.push(name);
+            const slug = match ? match.slug : slugify(name);
+            users.set(key, match
+                ? { id: match.id, name: match.name, slug, email: match.email }
+                : { id: objectId(), name, slug, email: `${slug}@example.com` });
+        }
+        return users.get(key);
+    };
+
+    const posts = [];
+    const postsTags = [];
+    const postsAuthors = [];
+
+    entries.forEach(entry => {
+        const current = postsBySlug.get(entry.slug);
+        stats[current ? 'updated' : 'created']++;
+        const id = current ? current.id : objectId();
+
+        posts.push({
+            id,
+            uuid: current?.uuid || crypto.randomUUID(),
+            title: entry.title,
+            slug: entry.slug,
+            html: entry.html,
+            type: entry.type,
+            status: entry.status,
+            visibility: 'public',
+            featured: false,
+            custom_excerpt: entry.excerpt,
+            feature_image: entry.featureImage,
+            canonical_url: entry.canonicalUrl,
+            created_at: current?.created_at ? new Date(current.created_at).toISOString() : (entry.publishedAt || timestamp),
+            updated_at: entry.updatedAt || timestamp,
+            published_at: entry.publishedAt,
+            // SEO and social fields, featured and visibility as in the frontmatter (checked by readEntries)
+            ...entry.extras,
+        });
+        entry.tags.forEach((name, i) => postsTags.push({ id: objectId(), post_id: id, tag_id: tagFor(name).id, sort_order: i }));
+        entry.authors.forEach((name, i) => postsAuthors.push({ id: objectId(), post_id: id, author_id: userFor(name).id, sort_order: i }));
+    });
+
+    return {
+        file: {
+            db: [{
+                meta: { exported_on: now.getTime(), version: '5.0.0' },
+                data: {
+                    posts,
+                    tags: [...tags.values()],
+                    users: [...users.values()],
+                    posts_tags: postsTags,
+                    posts_authors: postsAuthors,
+                },
+            }],
+        },
+        stats,
+    };
+};
+
+module.exports = { buildImport, slugify };
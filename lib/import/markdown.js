@@ -0,0 +1,143 @@
+// lib/import/markdown.js — Read Markdown files with export-md.js frontmatter back into Ghost entries
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { Marked } = require('marked');
+const { getFiles } = require('../utils');
+const { STATUSES } = require('../export/filters');
+const { EXTRA_FIELDS } = require('../export/profiles');
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// The extra fields as Ghost's schema accepts them: each check returns the value
+// to import or throws, so the file is reported like an invalid date
+const maxString = (max) => (value, field) => {
+    if (!['string', 'number'].includes(typeof value)) throw new Error(`invalid ${field} (expected text)`);
+    const text = String(value);
+    if (text.length > max) throw new Error(`${field} is longer than Ghost's ${max} characters`);
+    return text;
+};
+const EXTRA_TYPES = {
+    meta_title: maxString(300),
+    meta_description: maxString(500),
+    og_image: maxString(2000),
+    og_title: maxString(300),
+    og_description: maxString(500),
+    twitter_image: maxString(2000),
+    twitter_title: maxString(300),
+    twitter_description: maxString(500),
+    featured: (value, field) => {
+        if (typeof value !== 'boolean') throw new Error(`invalid ${field} "${value}" (expected true or false)`);
+        return value;
+    },
+    visibility: (value, field) => {
+        const visibilities = ['public', 'members', 'paid', 'tiers'];
+        if (!visibilities.includes(value)) throw new Error(`invalid ${field} "${value}" (expected ${visibilities.join(', ')})`);
+        return value;
+    },
+};
+
+const toPosix = (p) => p.split(path.sep).join('/');
+const asList = (value) => (value === null || value === undefined || value === '' ? [] : [].concat(value).map(String));
+
+/**
+ * Split a Markdown file into its frontmatter (parsed as YAML 1.1, like it was
+ * written) and body.
+ */
+const parseMarkdownFile = (source) => {
+    const match = source.match(FRONTMATTER_PATTERN);
+    if (!match) return { fields: {}, body: source };
+    const fields = YAML.parse(match[1], { version: '1.1' }) || {};
+    if (typeof fields !== 'object' || Array.isArray(fields)) throw new Error('frontmatter is not a mapping');
+    return { fields, body: source.slice(match[0].length) };
+};
+
+/**
+ * ISO timestamp of a frontmatter date (a YAML timestamp or a date string).
+ */
+const toTimestamp = (value, field) => {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? value : new Date(String(value));
+    if (Number.isNaN(date.getTime())) throw new Error(`invalid ${field} "${value}"`);
+    return date.toISOString();
+};
+
+/**
+ * Turn one file into a Ghost entry. Follows the generic profile's layout:
+ * files under pages/ are pages, the slug defaults to the file name (the folder
+ * name for index.md) and entries without a status are drafts.
+ */
+const readEntry = (file, rootDir) => {
+    const rel = toPosix(path.relative(rootDir, file));
+    const { fields, body } = parseMarkdownFile(fs.readFileSync(file, 'utf8'));
+    const base = path.basename(file, '.md');
+    const slug = String(fields.slug || (base === 'index' ? path.basename(path.dirname(file)) : base));
+    const status = STATUSES.includes(fields.status) ? fields.status : 'draft';
+
+    const extras = Object.fromEntries(EXTRA_FIELDS
+        .filter(field => fields[field] !== null && fields[field] !== undefined && fields[field] !== '')
+        .map(field => [field, EXTRA_TYPES[field](fields[field], field)]));
+
+    return {
+        file: rel,
+        body,
+        slug,
+        title: String(fields.title || slug),
+        type: rel.startsWith('pages/') ? 'page' : 'post',
+        status,
+        publishedAt: status === 'draft' ? null : toTimestamp(fields.date, 'date'),
+        updatedAt: toTimestamp(fields.updated, 'updated'),
+        tags: asList(fields.tags),
+        authors: asList(fields.authors ?? fields.author),
+        excerpt: fields.excerpt ? String(fields.excerpt) : null,
+        featureImage: fields.feature_image || null,
+        canonicalUrl: fields.canonical_url || null,
+        extras,
+    };
+};
+
+/**
+ * Read every .md file below `dir`. A file that can't be parsed is reported
+ * through `onError` and skipped.
+ */
+const readEntries = (dir, { onError = () => {} } = {}) => getFiles(dir, '.md')
+    .sort()
+    .flatMap(file => {
+        try {
+            return [readEntry(file, dir)];
+        } catch (e) {
+            onError(toPosix(path.relative(dir, file)), e);
+            return [];
+        }
+    });
+
+const isRelative = (href) => href && !/^(?:[a-z][a-z\d+.-]*:|\/|#)/i.test(href);
+
+/**
+ * Convert an entry's Markdown to HTML. Relative links to other imported files
+ * (as written by export-md.js) become links to their Ghost URL; relative links
+ * that match no entry and relative images (which the import can't carry) are
+ * returned so they can be reported.
+ */
+const renderEntry = (entry, slugsByFile) => {
+    const unresolvedLinks = [];
+    const localImages = [];
+    const marked = new Marked({
+        gfm: true,
+        walkTokens: (token) => {
+            if (token.type === 'image' && isRelative(token.href)) {
+                localImages.push(token.href);
+            } else if (token.type === 'link' && isRelative(token.href)) {
+                const [target, hash = ''] = token.href.split('#');
+                if (!/\.md$/i.test(target)) return;
+                const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(entry.file), decodeURI(target)));
+                const slug = slugsByFile.get(resolved);
+                if (slug) token.href = `/${slug}/${hash ? `#${hash}` : ''}`;
+                else unresolvedLinks.push(token.href);
+            }
+        },
+    });
+    return { html: marked.parse(entry.body).trim(), unresolvedLinks, localImages };
+};
+
+module.exports = { parseMarkdownFile, readEntries, renderEntry };
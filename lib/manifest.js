@@ -0,0 +1,83 @@
+// lib/manifest.js — Build manifest for incremental builds
+const fs = require('fs-extra');
+const path = require('path');
+const { extractSitemapEntries } = require('./crawler');
+const { escapeRegExp } = require('./utils');
+
+const MANIFEST_VERSION = 1;
+
+// Pages that list posts: home, tag and author archives and their pagination
+const listingPattern = /^\/(?:page\/\d+\/|(?:tag|author)\/[^/]+\/(?:page\/\d+\/)?)?$/;
+
+/**
+ * Load the manifest of the previous build, or null when there is no usable one.
+ */
+const loadManifest = (file, ghostUrl) => {
+    if (!fs.existsSync(file)) return null;
+    try {
+        const manifest = fs.readJsonSync(file);
+        // A different Ghost instance or manifest format means nothing can be reused
+        if (manifest.version !== MANIFEST_VERSION || manifest.ghostUrl !== ghostUrl) return null;
+        return manifest;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Write the manifest: URL → { file, hash, lastmod, version, refs }, sorted by URL.
+ */
+const writeManifest = (file, ghostUrl, urls) => {
+    const sorted = {};
+    Object.keys(urls).sort().forEach(url => { sorted[url] = urls[url]; });
+    fs.outputJsonSync(file, {
+        version: MANIFEST_VERSION,
+        ghostUrl,
+        generatedAt: new Date().toISOString(),
+        urls: sorted,
+    }, { spaces: 2 });
+};
+
+/**
+ * Read URL → lastmod from the sitemap-*.xml files downloaded into distDir.
+ */
+const readSitemapLastmods = (cheerio, distDir) => {
+    const lastmods = new Map();
+    if (!fs.existsSync(distDir)) return lastmods;
+
+    fs.readdirSync(distDir)
+        .filter(f => /^sitemap-.*\.xml$/.test(f))
+        .forEach(f => {
+            const xml = fs.readFileSync(path.join(distDir, f), 'utf8');
+            extractSitemapEntries(cheerio, xml).forEach(({ loc, lastmod }) => lastmods.set(loc, lastmod));
+        });
+
+    return lastmods;
+};
+
+/**
+ * Check whether a URL is a listing page (home, tag, author or a paginated archive).
+ */
+const isListingPage = (href) => listingPattern.test(new URL(href).pathname);
+
+/**
+ * Expand listing pages with their paginated siblings known from the manifest
+ * (e.g. /tag/news/ → /tag/news/page/2/, /tag/news/page/3/, ...).
+ */
+const withPagination = (listings, knownUrls) => {
+    const result = new Set(listings);
+    for (const listing of listings) {
+        const base = listing.replace(/page\/\d+\/$/, '');
+        const pagePattern = new RegExp(`^${escapeRegExp(base)}page/\\d+/$`);
+        knownUrls.filter(url => pagePattern.test(url)).forEach(url => result.add(url));
+    }
+    return result;
+};
+
+module.exports = {
+    loadManifest,
+    writeManifest,
+    readSitemapLastmods,
+    isListingPage,
+    withPagination,
+};
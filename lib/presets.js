@@ -0,0 +1,49 @@
+// lib/presets.js — Theme presets: the HTML elements each theme needs stripped for a static build
+// Selectors support simple classes/ids and complex CSS selectors with escaped characters.
+
+const presets = {
+    // Tailwind-based theme (the original hard-coded selectors)
+    tailwind: {
+        elementsToRemove: [
+            // Subscribe form in the header follow dropdown
+            'body > div.site-wrapper.flex.flex-col.justify-start.min-h-screen > header > div > ul > li.dropdown.is-right.is-hoverable.hidden.relative.lg\\:block > div > div > div',
+            // Login button
+            'body > div.site-wrapper.flex.flex-col.justify-start.min-h-screen > header > div > ul > li.header-dropdown-menu.dropdown.is-right.is-hoverable.h-16.hidden.lg\\:flex.items-center.cursor-pointer',
+            // Newsletter subscribe box in sidebar
+            'body > div.site-wrapper.flex.flex-col.justify-start.min-h-screen > main > div > aside > div.sidebar-subscribe.mb-8.text-center.shadow-lg.p-6.bg-primary.rounded-2xl',
+            'body > div.site-wrapper.flex.flex-col.justify-start.min-h-screen > main > div.container.mx-auto.my-10 > div > aside > div.sidebar-subscribe.mb-8.text-center.shadow-lg.p-6.bg-primary.rounded-2xl',
+            // Mobile login elements
+            'body > div.site-wrapper.flex.flex-col.justify-start.min-h-screen > div > div.mobile-menu.w-full.fixed.inset-0.bg-blank.min-h-screen.left-auto.z-50.overflow-y-auto.overflow-x-hidden.md\\:max-w-sm > div > nav.flex.px-4.justify-around',
+            'body > div.site-wrapper.flex.flex-col.justify-start.min-h-screen > div > div.mobile-menu.w-full.fixed.inset-0.bg-blank.min-h-screen.left-auto.z-50.overflow-y-auto.overflow-x-hidden.md\\:max-w-sm > div > hr:nth-child(4)',
+        ],
+    },
+
+    // Casper (Ghost's classic default theme)
+    casper: {
+        elementsToRemove: [
+            // Sign in / Subscribe buttons in the header
+            '.gh-head-members',
+            // Subscribe call-to-action above the footer
+            'section.footer-cta',
+            // Member comments and paywall upgrade box
+            'section.article-comments',
+            'section.gh-post-upgrade-cta',
+        ],
+    },
+
+    // Source (Ghost's default theme since 5.x)
+    source: {
+        elementsToRemove: [
+            // Sign in / Subscribe buttons in the header
+            '.gh-head-members',
+            // Signup forms in the landing header and above the footer
+            '.gh-header .gh-form',
+            'section.gh-footer-signup',
+            // Member comments and paywall upgrade box
+            'section.gh-comments',
+            'aside.gh-post-upgrade-cta',
+        ],
+    },
+};
+
+module.exports = presets;
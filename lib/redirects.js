@@ -0,0 +1,205 @@
+// lib/redirects.js — Ghost redirects and slug changes as static redirect stubs
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { getFiles } = require('./utils');
+
+// Marks stub pages so later builds can tell them apart from real pages
+const STUB_MARKER = 'ghost-static-redirect';
+
+// --- Sources ---
+
+/**
+ * Load Ghost's custom redirects from redirects.yaml (preferred, like Ghost) or redirects.json.
+ * Returns [{ from, to, permanent }] where `from` is a regular expression source.
+ */
+const loadGhostRedirects = (dataDir) => {
+    const yamlFile = path.join(dataDir, 'redirects.yaml');
+    const jsonFile = path.join(dataDir, 'redirects.json');
+
+    if (fs.existsSync(yamlFile)) {
+        // { 301: { from: to }, 302: { from: to } }
+        const data = YAML.parse(fs.readFileSync(yamlFile, 'utf8')) || {};
+        return Object.entries(data).flatMap(([status, rules]) => Object.entries(rules || {})
+            .map(([from, to]) => ({ from, to, permanent: String(status) === '301' })));
+    }
+    if (fs.existsSync(jsonFile)) {
+        return fs.readJsonSync(jsonFile).map(({ from, to, permanent }) => ({ from, to, permanent: Boolean(permanent) }));
+    }
+    return [];
+};
+
+/**
+ * Load the slug changes detected by earlier builds ([{ from, to, detectedAt }]).
+ */
+const loadSlugRedirects = (file) => (fs.existsSync(file) ? fs.readJsonSync(file) : []);
+
+/**
+ * Detect renamed posts: a URL that left the sitemaps and a new URL whose page has the same title.
+ * Both pages must still be on disk (run before the removed pages are deleted).
+ */
+const detectSlugChanges = (cheerio, distDir, removed, added) => {
+    const titleOf = (file) => {
+        const absolute = path.join(distDir, file);
+        if (!fs.existsSync(absolute)) return null;
+        const $ = cheerio.load(fs.readFileSync(absolute, 'utf8'));
+        return ($('meta[property="og:title"]').attr('content') || $('title').first().text()).trim() || null;
+    };
+
+    // Title → new URL, only for titles that identify a single new page
+    const addedByTitle = new Map();
+    added.forEach(({ url, file }) => {
+        const title = titleOf(file);
+        if (title) addedByTitle.set(title, addedByTitle.has(title) ? null : url);
+    });
+
+    return removed
+        .map(({ url, file }) => ({ from: url, to: addedByTitle.get(titleOf(file)) }))
+        .filter(change => change.to)
+        .map(({ from, to }) => ({ from: new URL(from).pathname, to: new URL(to).pathname }));
+};
+
+// --- Expansion ---
+
+/**
+ * Return the literal path a Ghost `from` pattern matches, or null when it is a real regex.
+ * Handles the usual ^/path/$ anchors, an optional trailing slash and escaped / . -
+ */
+const literalPath = (from) => {
+    const stripped = from
+        .replace(/^\^/, '')
+        .replace(/\$$/, '')
+        .replace(/\\?\/\?$/, '/')
+        .replace(/\\([/.-])/g, '$1');
+    if (!stripped.startsWith('/') || /[*+?()[\]{}|\\^$]/.test(stripped)) return null;
+    return stripped;
+};
+
+/**
+ * Turn rules into concrete redirects (source path → { to, permanent }).
+ *
+ * Literal rules map directly; regex rules are expanded against the known site
+ * paths (crawled and previously built URLs). As in Ghost, the first matching rule
+ * wins. Returns the redirects and the regex rules that matched no known path.
+ */
+const expandRedirects = (rules, knownPaths) => {
+    const redirects = new Map();
+    const unmatched = [];
+
+    rules.forEach(rule => {
+        const literal = literalPath(rule.from);
+        if (literal) {
+            if (!redirects.has(literal)) redirects.set(literal, { to: rule.to, permanent: rule.permanent });
+            return;
+        }
+
+        let pattern;
+        try {
+            pattern = new RegExp(rule.from);
+        } catch (e) {
+            unmatched.push(rule);
+            return;
+        }
+        const matches = knownPaths.filter(p => pattern.test(p));
+        matches.forEach(p => {
+            if (!redirects.has(p)) redirects.set(p, { to: p.replace(pattern, rule.to), permanent: rule.permanent });
+        });
+        if (matches.length === 0) unmatched.push(rule);
+    });
+
+    // A redirect onto itself would loop forever
+    for (const [from, { to }] of redirects) {
+        if (to === from) redirects.delete(from);
+    }
+    return { redirects, unmatched };
+};
+
+// --- Output ---
+
+const escapeHtml = (str) => str.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/**
+ * Render a redirect stub: meta refresh, canonical link and a JS fallback that keeps the #hash.
+ */
+const renderStub = (to, canonical) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="generator" content="${STUB_MARKER}">
+<meta name="robots" content="noindex">
+<title>Redirecting…</title>
+<link rel="canonical" href="${escapeHtml(canonical)}">
+<meta http-equiv="refresh" content="0; url=${escapeHtml(to)}">
+<script>location.replace(${JSON.stringify(to).replace(/</g, '\\u003c')} + location.hash);</script>
+</head>
+<body>
+<p>This page has moved to <a href="${escapeHtml(to)}">${escapeHtml(to)}</a>.</p>
+</body>
+</html>
+`;
+
+/**
+ * Map a source path to the stub file that serves it, or null when a stub can't
+ * live there (e.g. /feed.xml would be served with the wrong content type).
+ */
+const stubFile = (distDir, from) => {
+    let decoded = from;
+    try {
+        decoded = decodeURIComponent(from);
+    } catch (e) { /* keep the raw path */ }
+    const ext = path.extname(decoded);
+    if (ext && !/^\.html?$/.test(ext)) return null;
+    return path.join(distDir, ext ? decoded : path.join(decoded, 'index.html'));
+};
+
+const isStub = (file) => fs.readFileSync(file, 'utf8').includes(STUB_MARKER);
+
+/**
+ * Write a stub page for every redirect, remove stubs of redirects that are gone,
+ * and optionally a `_redirects` file (Netlify/Cloudflare Pages format).
+ *
+ * Never overwrites a real page: such collisions are returned for the caller to report.
+ */
+const writeRedirects = ({ distDir, redirects, deployUrl, redirectsFile }) => {
+    const written = new Set();
+    const collisions = [];
+    const skipped = [];
+
+    for (const [from, { to }] of redirects) {
+        const file = stubFile(distDir, from);
+        if (!file) {
+            skipped.push(from);
+            continue;
+        }
+        if (fs.existsSync(file) && !isStub(file)) {
+            collisions.push(from);
+            continue;
+        }
+        const canonical = /^https?:\/\//.test(to) || !deployUrl ? to : new URL(to, deployUrl).href;
+        fs.outputFileSync(file, renderStub(to, canonical));
+        written.add(file);
+    }
+
+    // Stubs from earlier builds whose redirect no longer exists
+    getFiles(distDir, '.html')
+        .filter(file => !written.has(file) && isStub(file))
+        .forEach(file => fs.removeSync(file));
+
+    if (redirectsFile) {
+        const lines = [...redirects]
+            .filter(([from]) => !collisions.includes(from))
+            .map(([from, { to, permanent }]) => `${from} ${to} ${permanent ? 301 : 302}`);
+        fs.outputFileSync(path.join(distDir, redirectsFile), `${lines.join('\n')}\n`);
+    }
+
+    return { written: written.size, collisions, skipped };
+};
+
+module.exports = {
+    loadGhostRedirects,
+    loadSlugRedirects,
+    detectSlugChanges,
+    expandRedirects,
+    writeRedirects,
+    renderStub,
+};
@@ -0,0 +1,215 @@
+// lib/report.js — Build-to-build diff: pages added/removed/modified, content diffs, asset sizes
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { getFiles } = require('./utils');
+const { bodySelectors } = require('./search');
+const { isXmlFeed } = require('./feeds');
+const { pagePath } = require('./transforms');
+
+// Elements that end a line of a page's main text
+const BLOCKS = 'address, blockquote, dd, div, dt, figcaption, h1, h2, h3, h4, h5, h6, li, p, pre, section, td, th, tr';
+
+// Lines diffed per page at most (old × new); bigger changes are only reported as changed
+const MAX_DIFF_CELLS = 4000000;
+const CONTEXT_LINES = 1;
+
+/**
+ * Main text of a page, one line per block: the title, then the post body
+ * (or <main>, or <body>).
+ */
+const extractText = (cheerio, html) => {
+    const $ = cheerio.load(html);
+    const title = $('title').first().text().trim();
+    const selector = [...bodySelectors, 'main', 'body'].find(s => $(s).length > 0);
+    const $content = selector ? $(selector).first() : $.root();
+    $content.find('script, style, noscript, template').remove();
+    $content.find('br').replaceWith('\n');
+    $content.find(BLOCKS).append('\n');
+    const lines = $content.text().split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    return title ? [`# ${title}`, ...lines] : lines;
+};
+
+/**
+ * Record what a build produced: every page's HTML hash and main text, and
+ * every other file's size. `exclude` lists build metadata (relative POSIX paths).
+ */
+const snapshotDist = ({ cheerio, distDir, exclude = [] }) => {
+    const snapshot = { builtAt: new Date().toISOString(), pages: {}, assets: {} };
+    getFiles(distDir).forEach(file => {
+        const rel = path.relative(distDir, file).split(path.sep).join('/');
+        if (exclude.includes(rel)) return;
+        if (rel.endsWith('.html')) {
+            const html = fs.readFileSync(file, 'utf8');
+            if (!isXmlFeed(html)) {
+                snapshot.pages[pagePath(rel)] = {
+                    hash: crypto.createHash('sha1').update(html).digest('hex'),
+                    text: extractText(cheerio, html),
+                };
+                return;
+            }
+        }
+        snapshot.assets[rel] = fs.statSync(file).size;
+    });
+    return snapshot;
+};
+
+const loadSnapshot = (file) => {
+    try {
+        return fs.readJsonSync(file);
+    } catch (e) {
+        return null;
+    }
+};
+
+const writeSnapshot = (file, snapshot) => fs.outputJsonSync(file, snapshot);
+
+/**
+ * Line diff (longest common subsequence) of two texts, as [op, line] pairs with
+ * op ' ', '-' or '+'. Returns null when the texts are too long to diff.
+ */
+const diffLines = (before, after) => {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let end = 0;
+    while (end < before.length - start && end < after.length - start
+        && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+    const a = before.slice(start, before.length - end);
+    const b = after.slice(start, after.length - end);
+    if (a.length * b.length > MAX_DIFF_CELLS) return null;
+
+    // lcs[i][j]: common lines of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = before.slice(0, start).map(line => [' ', line]);
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push([' ', a[i++]]);
+            j++;
+        } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push(['-', a[i++]]);
+        } else {
+            ops.push(['+', b[j++]]);
+        }
+    }
+    return ops.concat(before.slice(before.length - end).map(line => [' ', line]));
+};
+
+/**
+ * Render a diff as unified-style lines, keeping CONTEXT_LINES unchanged lines
+ * around each change and eliding the rest.
+ */
+const formatDiff = (ops) => {
+    if (ops.every(([op]) => op === ' ')) return [];
+    const keep = ops.map(([op]) => op !== ' ');
+    ops.forEach(([op], i) => {
+        if (op === ' ') return;
+        for (let k = Math.max(0, i - CONTEXT_LINES); k <= Math.min(ops.length - 1, i + CONTEXT_LINES); k++) keep[k] = true;
+    });
+    const lines = [];
+    ops.forEach(([op, line], i) => {
+        if (keep[i]) lines.push(`${op} ${line}`);
+        else if (keep[i - 1] !== false) lines.push('…');
+    });
+    return lines;
+};
+
+/**
+ * Compare two snapshots. Pages whose HTML changed but whose main text didn't
+ * are modified with `diff: []` (layout only).
+ */
+const diffSnapshots = (previous, current) => {
+    const report = {
+        since: previous.builtAt,
+        pages: { added: [], removed: [], modified: [] },
+        assets: { added: [], removed: [], changed: [] },
+    };
+
+    Object.entries(current.pages).forEach(([page, { hash, text }]) => {
+        const before = previous.pages[page];
+        if (!before) report.pages.added.push(page);
+        else if (before.hash !== hash) {
+            const ops = diffLines(before.text, text);
+            report.pages.modified.push({ path: page, diff: ops ? formatDiff(ops) : null });
+        }
+    });
+    report.pages.removed = Object.keys(previous.pages).filter(page => !current.pages[page]);
+
+    Object.entries(current.assets).forEach(([rel, size]) => {
+        if (!(rel in previous.assets)) report.assets.added.push({ path: rel, before: 0, after: size });
+        else if (previous.assets[rel] !== size) report.assets.changed.push({ path: rel, before: previous.assets[rel], after: size });
+    });
+    report.assets.removed = Object.entries(previous.assets)
+        .filter(([rel]) => !(rel in current.assets))
+        .map(([rel, size]) => ({ path: rel, before: size, after: 0 }));
+
+    report.pages.added.sort();
+    report.pages.removed.sort();
+    report.pages.modified.sort((x, y) => x.path.localeCompare(y.path));
+    Object.values(report.assets).forEach(list => list.sort((x, y) => x.path.localeCompare(y.path)));
+    return report;
+};
+
+const kb = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+const signedKb = (bytes) => `${bytes >= 0 ? '+' : '-'}${kb(Math.abs(bytes))}`;
+
+/**
+ * Totals of a report, for the console: one line for pages, one for assets.
+ */
+const summarizeReport = (report) => {
+    const { pages, assets } = report;
+    const sizeChange = [...assets.added, ...assets.changed, ...assets.removed].reduce((sum, a) => sum + a.after - a.before, 0);
+    return [
+        `Pages: + ${pages.added.length} added, ~ ${pages.modified.length} modified, - ${pages.removed.length} removed`,
+        `Assets: + ${assets.added.length} added, ~ ${assets.changed.length} resized, - ${assets.removed.length} removed (${signedKb(sizeChange)})`,
+    ];
+};
+
+/**
+ * The report as Markdown.
+ */
+const formatReport = (report) => {
+    const { pages, assets } = report;
+    const out = [
+        '# Build Report',
+        '',
+        `Compared with the previous build (${report.since}).`,
+        '',
+        ...summarizeReport(report).map(line => `- ${line}`),
+    ];
+
+    const list = (title, items) => {
+        if (items.length > 0) out.push('', `## ${title}`, '', ...items.map(item => `- \`${item}\``));
+    };
+    list('Added Pages', pages.added);
+    list('Removed Pages', pages.removed);
+
+    if (pages.modified.length > 0) {
+        out.push('', '## Modified Pages');
+        pages.modified.forEach(({ path: page, diff }) => {
+            out.push('', `### \`${page}\``, '');
+            if (diff === null) out.push('Main content changed (too long to diff).');
+            else if (diff.length === 0) out.push('Main content unchanged (layout or markup only).');
+            else out.push('```diff', ...diff, '```');
+        });
+    }
+
+    const changes = [...assets.added, ...assets.changed, ...assets.removed].sort((x, y) => x.path.localeCompare(y.path));
+    if (changes.length > 0) {
+        out.push('', '## Asset Size Changes', '', '| File | Before | After | Change |', '|------|--------|-------|--------|');
+        changes.forEach(({ path: rel, before, after }) => {
+            out.push(`| \`${rel}\` | ${before ? kb(before) : '—'} | ${after ? kb(after) : '—'} | ${signedKb(after - before)} |`);
+        });
+    }
+    return `${out.join('\n')}\n`;
+};
+
+module.exports = { extractText, snapshotDist, loadSnapshot, writeSnapshot, diffLines, diffSnapshots, summarizeReport, formatReport };
@@ -0,0 +1,160 @@
+// search.js — Static client-side search for the exported Ghost site
+// Copied into dist/ by deploy.js. Loads the index on first use; no backend required.
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    var indexUrl = (script && script.getAttribute('data-index')) || '/search-index.json';
+    var triggers = '[data-ghost-search], .js-toggle-search';
+    var maxResults = 20;
+
+    var index = null;
+    var overlay, input, results;
+
+    var css = [
+        '.ss-overlay{position:fixed;inset:0;z-index:9999;display:none;background:rgba(0,0,0,.5);padding:8vh 16px 16px}',
+        '.ss-overlay.ss-open{display:block}',
+        '.ss-dialog{max-width:640px;margin:0 auto;background:#fff;color:#15171a;border-radius:12px;box-shadow:0 20px 50px rgba(0,0,0,.3);overflow:hidden;font:16px/1.5 system-ui,-apple-system,sans-serif}',
+        '.ss-input{box-sizing:border-box;width:100%;padding:18px 20px;border:0;border-bottom:1px solid #e5e7eb;font:inherit;font-size:18px;outline:none;background:transparent;color:inherit}',
+        '.ss-results{list-style:none;margin:0;padding:0;max-height:60vh;overflow-y:auto}',
+        '.ss-results a{display:block;padding:12px 20px;color:inherit;text-decoration:none;border-bottom:1px solid #f1f2f4}',
+        '.ss-results a:hover,.ss-results a:focus{background:#f4f5f7;outline:none}',
+        '.ss-title{display:block;font-weight:600}',
+        '.ss-meta,.ss-empty{display:block;font-size:14px;color:#6b7280}',
+        '.ss-empty{padding:16px 20px}',
+        '.ss-fab{position:fixed;right:20px;bottom:20px;z-index:9998;width:48px;height:48px;border:0;border-radius:50%;background:#15171a;color:#fff;cursor:pointer;box-shadow:0 4px 12px rgba(0,0,0,.25)}',
+        '@media (prefers-color-scheme:dark){.ss-dialog{background:#1f2125;color:#eceef0}.ss-input{border-color:#33363b}.ss-results a{border-color:#2a2d31}.ss-results a:hover,.ss-results a:focus{background:#2a2d31}}'
+    ].join('');
+
+    var escapeHtml = function (str) {
+        return String(str).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    };
+
+    var loadIndex = function () {
+        if (index) return Promise.resolve(index);
+        return fetch(indexUrl)
+            .then(function (res) { return res.json(); })
+            .then(function (docs) {
+                index = docs.map(function (doc) {
+                    return {
+                        doc: doc,
+                        title: (doc.t || '').toLowerCase(),
+                        tags: (doc.g || []).concat(doc.a || []).join(' ').toLowerCase(),
+                        excerpt: (doc.e || '').toLowerCase(),
+                        body: (doc.b || '').toLowerCase()
+                    };
+                });
+                return index;
+            });
+    };
+
+    // Every term must match somewhere; title hits outrank tag/author, excerpt and body hits
+    var search = function (query) {
+        var terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        return index
+            .map(function (entry) {
+                var score = 0;
+                for (var i = 0; i < terms.length; i++) {
+                    var term = terms[i];
+                    var termScore = (entry.title.indexOf(term) !== -1 ? 8 : 0) +
+                        (entry.tags.indexOf(term) !== -1 ? 4 : 0) +
+                        (entry.excerpt.indexOf(term) !== -1 ? 2 : 0) +
+                        (entry.body.indexOf(term) !== -1 ? 1 : 0);
+                    if (termScore === 0) return null;
+                    score += termScore;
+                }
+                return { doc: entry.doc, score: score };
+            })
+            .filter(Boolean)
+            .sort(function (a, b) { return b.score - a.score; })
+            .slice(0, maxResults)
+            .map(function (hit) { return hit.doc; });
+    };
+
+    var render = function () {
+        var query = input.value.trim();
+        if (!query) {
+            results.innerHTML = '';
+            return;
+        }
+        var hits = search(query);
+        if (hits.length === 0) {
+            results.innerHTML = '<li class="ss-empty">No results for “' + escapeHtml(query) + '”</li>';
+            return;
+        }
+        results.innerHTML = hits.map(function (doc) {
+            var meta = [doc.d].concat(doc.g || []).filter(Boolean).join(' · ');
+            return '<li><a href="' + escapeHtml(doc.u) + '">' +
+                '<span class="ss-title">' + escapeHtml(doc.t) + '</span>' +
+                (doc.e ? '<span class="ss-meta">' + escapeHtml(doc.e) + '</span>' : '') +
+                (meta ? '<span class="ss-meta">' + escapeHtml(meta) + '</span>' : '') +
+                '</a></li>';
+        }).join('');
+    };
+
+    var open = function (event) {
+        if (event) event.preventDefault();
+        overlay.classList.add('ss-open');
+        input.focus();
+        loadIndex().then(render).catch(function () {
+            results.innerHTML = '<li class="ss-empty">Search is unavailable right now.</li>';
+        });
+    };
+
+    var close = function () {
+        overlay.classList.remove('ss-open');
+    };
+
+    var init = function () {
+        var style = document.createElement('style');
+        style.textContent = css;
+        document.head.appendChild(style);
+
+        overlay = document.createElement('div');
+        overlay.className = 'ss-overlay';
+        overlay.innerHTML = '<div class="ss-dialog" role="dialog" aria-modal="true" aria-label="Search">' +
+            '<input class="ss-input" type="search" placeholder="Search posts" aria-label="Search posts" autocomplete="off">' +
+            '<ul class="ss-results"></ul></div>';
+        document.body.appendChild(overlay);
+        input = overlay.querySelector('.ss-input');
+        results = overlay.querySelector('.ss-results');
+
+        input.addEventListener('input', function () {
+            if (index) render();
+        });
+        overlay.addEventListener('click', function (event) {
+            if (event.target === overlay) close();
+        });
+        document.addEventListener('keydown', function (event) {
+            var typing = /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName) || event.target.isContentEditable;
+            if (event.key === 'Escape') close();
+            else if ((event.key === 'k' && (event.metaKey || event.ctrlKey)) || (event.key === '/' && !typing)) open(event);
+        });
+
+        // Take over the theme's own search buttons (capture phase, before the theme's handlers)
+        document.addEventListener('click', function (event) {
+            if (event.target.closest && event.target.closest(triggers)) {
+                event.stopPropagation();
+                open(event);
+            }
+        }, true);
+
+        // Themes without a search button get a floating one
+        if (!document.querySelector(triggers)) {
+            var fab = document.createElement('button');
+            fab.className = 'ss-fab';
+            fab.type = 'button';
+            fab.setAttribute('aria-label', 'Search');
+            fab.setAttribute('data-ghost-search', '');
+            fab.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="7"/><path d="M21 21l-4.35-4.35"/></svg>';
+            document.body.appendChild(fab);
+        }
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+    else init();
+})();
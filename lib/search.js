@@ -0,0 +1,99 @@
+// lib/search.js — Static search index and UI injection (replaces Ghost's Sodo search)
+const fs = require('fs-extra');
+const path = require('path');
+const { extractSitemapUrls } = require('./crawler');
+
+const CLIENT_SCRIPT = path.join(__dirname, 'search-client.js');
+
+// Ghost's Sodo search script, and the theme buttons that open it (the static search takes them over)
+const SODO_SCRIPT = 'script[data-sodo-search]';
+const SEARCH_BUTTONS = ['[data-ghost-search]', '.js-toggle-search'];
+
+// Selectors tried in order for a post's body text
+const bodySelectors = ['.gh-content', '.post-content', '.post-full-content', 'article'];
+
+/**
+ * Read author names from a page's JSON-LD Article block.
+ */
+const extractAuthors = ($) => {
+    const names = [];
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            const data = JSON.parse($(el).html());
+            [].concat(data.author || []).forEach(author => {
+                if (author && author.name && !names.includes(author.name)) names.push(author.name);
+            });
+        } catch (e) { /* malformed JSON-LD — no authors from this block */ }
+    });
+    return names;
+};
+
+/**
+ * Build one compact search document from a post's HTML.
+ *
+ * Keys are shortened to keep the index small:
+ * t = title, e = excerpt, g = tags, a = authors, u = URL path, d = date, b = body text.
+ */
+const extractDocument = (cheerio, html, urlPath, { bodyText = false, bodyLength = 5000 } = {}) => {
+    const $ = cheerio.load(html);
+    const meta = (selector) => ($(selector).attr('content') || '').trim();
+
+    const doc = {
+        t: meta('meta[property="og:title"]') || $('title').first().text().trim(),
+        e: meta('meta[name="description"]') || meta('meta[property="og:description"]'),
+        g: $('meta[property="article:tag"]').map((_, el) => $(el).attr('content')).get(),
+        a: extractAuthors($),
+        u: urlPath,
+        d: meta('meta[property="article:published_time"]').split('T')[0],
+    };
+
+    if (bodyText) {
+        const selector = bodySelectors.find(sel => $(sel).length > 0);
+        if (selector) doc.b = $(selector).first().text().replace(/\s+/g, ' ').trim().substring(0, bodyLength);
+    }
+
+    return doc;
+};
+
+/**
+ * Build the search index from the posts listed in the mirrored sitemap-posts.xml.
+ */
+const buildSearchIndex = ({ cheerio, distDir, bodyText, bodyLength }) => {
+    const sitemap = path.join(distDir, 'sitemap-posts.xml');
+    if (!fs.existsSync(sitemap)) return [];
+
+    return extractSitemapUrls(cheerio, fs.readFileSync(sitemap, 'utf8'))
+        .map(loc => new URL(loc).pathname)
+        .filter(urlPath => urlPath.endsWith('/'))
+        .map(urlPath => {
+            const file = path.join(distDir, decodeURIComponent(urlPath), 'index.html');
+            if (!fs.existsSync(file)) return null;
+            return extractDocument(cheerio, fs.readFileSync(file, 'utf8'), urlPath, { bodyText, bodyLength });
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.d.localeCompare(a.d));
+};
+
+/**
+ * Write the index and the client script into distDir.
+ */
+const writeSearchAssets = (distDir, documents, { indexFile, scriptFile }) => {
+    fs.outputFileSync(path.join(distDir, indexFile), JSON.stringify(documents));
+    fs.copySync(CLIENT_SCRIPT, path.join(distDir, scriptFile));
+};
+
+/**
+ * Drop Ghost's Sodo search and add the static search script to a page (idempotent).
+ */
+const injectSearch = (cheerio, htmlContent, { indexFile, scriptFile }) => {
+    const $ = cheerio.load(htmlContent);
+
+    $(SODO_SCRIPT).remove();
+    if ($('script[data-static-search]').length === 0) {
+        $('body').append(`<script src="/${scriptFile}" data-static-search data-index="/${indexFile}" defer></script>`);
+    }
+
+    return $.html();
+};
+
+module.exports = { SODO_SCRIPT, SEARCH_BUTTONS, bodySelectors, buildSearchIndex, extractDocument, writeSearchAssets, injectSearch };
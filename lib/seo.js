@@ -0,0 +1,171 @@
+// lib/seo.js — SEO and accessibility audit of the built pages
+const fs = require('fs-extra');
+const path = require('path');
+const { isXmlFeed } = require('./feeds');
+const { pagePath } = require('./transforms');
+const { getFiles } = require('./utils');
+
+// rule → [default level, what it checks]; levels: 'error' fails the build, 'warn' reports, 'off' skips
+const RULES = {
+    title: ['warn', 'Pages without a <title>'],
+    'title-unique': ['warn', 'Titles shared by several pages'],
+    description: ['warn', 'Pages without a meta description'],
+    'description-unique': ['warn', 'Meta descriptions shared by several pages'],
+    'open-graph': ['warn', 'Pages without og:title, og:description, og:type or og:url'],
+    'twitter-card': ['warn', 'Pages without twitter:card or twitter:title'],
+    canonical: ['error', 'Canonical or og:url not on DEPLOY_URL'],
+    'img-alt': ['warn', 'Images without alt text'],
+    headings: ['warn', 'Pages without one <h1> or with skipped heading levels'],
+    lang: ['warn', 'Pages without <html lang>'],
+    'structured-data': ['error', 'Invalid JSON-LD structured data'],
+};
+const LEVELS = ['error', 'warn', 'off'];
+
+/**
+ * Problems with a page's JSON-LD blocks: unparsable JSON, or items without
+ * a schema.org @context or an @type.
+ */
+const checkJsonLd = ($) => $('script[type="application/ld+json"]').toArray().flatMap((el, i) => {
+    const label = `JSON-LD block ${i + 1}`;
+    let data;
+    try {
+        data = JSON.parse($(el).html());
+    } catch (e) {
+        return [`${label}: invalid JSON (${e.message})`];
+    }
+    return [].concat(data).flatMap(item => {
+        if (!item || typeof item !== 'object') return [`${label}: not an object`];
+        const context = [].concat(item['@context'] || []).join(' ');
+        const problems = [];
+        if (!/schema\.org/.test(context)) problems.push(`${label}: no schema.org @context`);
+        if (!item['@type'] && !item['@graph']) problems.push(`${label}: no @type`);
+        return problems;
+    });
+});
+
+/**
+ * Heading problems of a page: no <h1>, several, or a level skipped (h2 → h4).
+ */
+const checkHeadings = ($) => {
+    const levels = $('body').find('h1, h2, h3, h4, h5, h6').toArray().map(el => Number(el.tagName.slice(1)));
+    const h1s = levels.filter(level => level === 1).length;
+    const problems = [];
+    if (h1s === 0) problems.push('no <h1>');
+    if (h1s > 1) problems.push(`${h1s} <h1> elements`);
+    const skip = levels.findIndex((level, i) => i > 0 && level > levels[i - 1] + 1);
+    if (skip > 0) problems.push(`<h${levels[skip - 1]}> followed by <h${levels[skip]}>`);
+    return problems;
+};
+
+/**
+ * Audit every page in distDir (feeds and redirect stubs aside, and the paths
+ * matching `exclude`) against RULES. `siteUrl` is the deploy URL canonical
+ * and og:url must be on (null skips the check). Returns { pages, issues }
+ * with one issue { rule, page, message } per rule and page.
+ */
+const auditPages = ({ cheerio, distDir, siteUrl, exclude = [] }) => {
+    const issues = [];
+    const add = (rule, page, message) => issues.push({ rule, page, message });
+    const titles = new Map();
+    const descriptions = new Map();
+    const remember = (map, value, page) => {
+        if (!map.has(value)) map.set(value, []);
+        map.get(value).push(page);
+    };
+    const onSite = (url) => url === siteUrl || url.startsWith(`${siteUrl}/`);
+
+    let pages = 0;
+    getFiles(distDir, '.html')
+        .map(file => ({ file, page: pagePath(path.relative(distDir, file)) }))
+        .filter(({ page }) => !exclude.some(pattern => pattern.test(page)))
+        .forEach(({ file, page }) => {
+            const html = fs.readFileSync(file, 'utf8');
+            if (isXmlFeed(html)) return;
+            const $ = cheerio.load(html);
+            if ($('meta[http-equiv="refresh" i]').length > 0) return;
+            pages++;
+
+            const meta = (attr, name) => ($(`meta[${attr}="${name}"]`).attr('content') || '').trim();
+            const title = $('title').first().text().trim();
+            const description = meta('name', 'description');
+            // Paginated archives repeat their first page's metadata on purpose
+            const paginated = /\/page\/\d+\/$/.test(page);
+
+            if (!title) add('title', page, 'no <title>');
+            else if (!paginated) remember(titles, title, page);
+            if (!description) add('description', page, 'no meta description');
+            else if (!paginated) remember(descriptions, description, page);
+
+            const og = ['og:title', 'og:description', 'og:type', 'og:url'].filter(name => !meta('property', name));
+            if (og.length > 0) add('open-graph', page, `missing ${og.join(', ')}`);
+            const twitter = ['twitter:card', 'twitter:title'].filter(name => !meta('name', name));
+            if (twitter.length > 0) add('twitter-card', page, `missing ${twitter.join(', ')}`);
+
+            if (siteUrl) {
+                const canonical = ($('link[rel="canonical"]').attr('href') || '').trim();
+                const ogUrl = meta('property', 'og:url');
+                if (canonical && !onSite(canonical)) add('canonical', page, `canonical is ${canonical}`);
+                if (ogUrl && !onSite(ogUrl)) add('canonical', page, `og:url is ${ogUrl}`);
+            }
+
+            const missingAlt = $('img:not([alt])').filter((_, el) => $(el).attr('aria-hidden') !== 'true' && $(el).attr('role') !== 'presentation').length;
+            if (missingAlt > 0) add('img-alt', page, `${missingAlt} image${missingAlt > 1 ? 's' : ''} without alt`);
+
+            const headings = checkHeadings($);
+            if (headings.length > 0) add('headings', page, headings.join(', '));
+            if (!($('html').attr('lang') || '').trim()) add('lang', page, 'no lang attribute');
+            checkJsonLd($).forEach(problem => add('structured-data', page, problem));
+        });
+
+    const duplicates = (rule, map, what) => map.forEach((list, value) => {
+        if (list.length < 2) return;
+        list.forEach(page => add(rule, page, `${what} "${value}" also on ${list.filter(other => other !== page).join(', ')}`));
+    });
+    duplicates('title-unique', titles, 'title');
+    duplicates('description-unique', descriptions, 'description');
+
+    return { pages, issues };
+};
+
+/**
+ * Give each issue its configured level (`levels`: rule → 'error' | 'warn' | 'off',
+ * falling back to RULES) and drop the rules turned off.
+ */
+const applyLevels = (issues, levels = {}) => issues
+    .map(issue => ({ ...issue, level: levels[issue.rule] || RULES[issue.rule][0] }))
+    .filter(issue => issue.level !== 'off');
+
+/**
+ * The machine-readable report: totals per rule and every issue, sorted by rule and page.
+ */
+const buildAuditReport = ({ siteUrl, pages, issues }) => {
+    const sorted = [...issues].sort((a, b) => a.rule.localeCompare(b.rule) || a.page.localeCompare(b.page));
+    const rules = {};
+    sorted.forEach(({ rule, level }) => {
+        rules[rule] = rules[rule] || { level, description: RULES[rule][1], issues: 0 };
+        rules[rule].issues++;
+    });
+    return {
+        generatedAt: new Date().toISOString(),
+        siteUrl,
+        pages,
+        errors: sorted.filter(issue => issue.level === 'error').length,
+        warnings: sorted.filter(issue => issue.level === 'warn').length,
+        rules,
+        issues: sorted,
+    };
+};
+
+/**
+ * Print the report for humans: one block per rule with up to three pages.
+ */
+const printAudit = (report) => {
+    Object.entries(report.rules).forEach(([rule, { level, description, issues }]) => {
+        console.log(`\n   ${level === 'error' ? '❌' : '⚠️ '} ${rule}: ${description} (${issues})`);
+        const ofRule = report.issues.filter(issue => issue.rule === rule);
+        ofRule.slice(0, 3).forEach(({ page, message }) => console.log(`      ${page}  ${message}`));
+        if (ofRule.length > 3) console.log(`      … and ${ofRule.length - 3} more`);
+    });
+};
+
+module.exports = { RULES, LEVELS, auditPages, applyLevels, buildAuditReport, printAudit };
@@ -0,0 +1,129 @@
+// lib/sitemaps.js — sitemap.xml (index + per-type sitemaps) and robots.txt generated from the static output
+const fs = require('fs-extra');
+const path = require('path');
+const { extractSitemapEntries } = require('./crawler');
+const { isXmlFeed } = require('./feeds');
+const { pagePath } = require('./transforms');
+const { getFiles } = require('./utils');
+
+// Sitemap per page type, in Ghost's order and with Ghost's file names
+const SITEMAP_TYPES = ['pages', 'posts', 'authors', 'tags'];
+const INDEX_FILE = 'sitemap.xml';
+// URLs per sitemap file allowed by the sitemaps protocol
+const MAX_URLS = 50000;
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const isSitemapFile = (name) => name === INDEX_FILE || /^sitemap-.+\.xml$/.test(name);
+
+/**
+ * What Ghost's own sitemaps (mirrored into distDir) say about each page:
+ * path → { type, lastmod }.
+ */
+const readGhostSitemaps = (cheerio, distDir) => {
+    const known = new Map();
+    if (!fs.existsSync(distDir)) return known;
+    fs.readdirSync(distDir).forEach(name => {
+        const type = name.match(/^sitemap-([a-z]+?)(?:-\d+)?\.xml$/)?.[1];
+        if (!SITEMAP_TYPES.includes(type)) return;
+        extractSitemapEntries(cheerio, fs.readFileSync(path.join(distDir, name), 'utf8')).forEach(({ loc, lastmod }) => {
+            try {
+                known.set(new URL(loc).pathname, { type, lastmod });
+            } catch (e) { /* not a URL */ }
+        });
+    });
+    return known;
+};
+
+/**
+ * Date as the sitemaps protocol wants it (W3C datetime), or null.
+ */
+const toLastmod = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+/**
+ * The pages a sitemap should list: every HTML page in distDir except pagination,
+ * feeds, redirect stubs and other pages marked noindex, error pages and the
+ * paths matching `exclude`. Each is { path, type, lastmod }, with the type and
+ * lastmod from Ghost's sitemaps when they list the page, else from its path,
+ * og:type (or Ghost's post-template body class) and article:modified_time (or
+ * article:published_time).
+ */
+const collectSitemapPages = ({ cheerio, distDir, exclude = [], errorPages = [] }) => {
+    const ghost = readGhostSitemaps(cheerio, distDir);
+    return getFiles(distDir, '.html')
+        .map(file => ({ file, sitePath: pagePath(path.relative(distDir, file)) }))
+        .filter(({ sitePath }) => sitePath.endsWith('/') && !/\/page\/\d+\/$/.test(sitePath))
+        .filter(({ sitePath }) => !errorPages.includes(sitePath) && !exclude.some(pattern => pattern.test(sitePath)))
+        .flatMap(({ file, sitePath }) => {
+            const html = fs.readFileSync(file, 'utf8');
+            if (isXmlFeed(html) || !/<(?:html|head|body)[\s>]/i.test(html)) return [];
+            const $ = cheerio.load(html);
+            const robots = $('meta[name="robots"]').map((_, el) => $(el).attr('content') || '').get().join(',');
+            if (/\bnoindex\b|\bnone\b/i.test(robots) || $('meta[http-equiv="refresh" i]').length > 0) return [];
+
+            const fromGhost = ghost.get(sitePath);
+            const meta = (property) => $(`meta[property="${property}"]`).attr('content');
+            const type = fromGhost?.type
+                || (sitePath.startsWith('/tag/') ? 'tags' : sitePath.startsWith('/author/') ? 'authors' : null)
+                || (sitePath !== '/' && (meta('og:type') === 'article' || $('body').hasClass('post-template')) ? 'posts' : 'pages');
+            const lastmod = toLastmod(fromGhost?.lastmod) || toLastmod(meta('article:modified_time')) || toLastmod(meta('article:published_time'));
+            return [{ path: sitePath, type, lastmod }];
+        })
+        .sort((a, b) => a.path.localeCompare(b.path));
+};
+
+const renderUrlset = (siteUrl, pages) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pages.map(page => `<url><loc>${escapeXml(new URL(page.path, siteUrl).href)}</loc>${page.lastmod ? `<lastmod>${page.lastmod}</lastmod>` : ''}</url>`).join('\n')}
+</urlset>
+`;
+
+const renderIndex = (siteUrl, sitemaps) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.map(sitemap => `<sitemap><loc>${escapeXml(new URL(sitemap.file, siteUrl).href)}</loc>${sitemap.lastmod ? `<lastmod>${sitemap.lastmod}</lastmod>` : ''}</sitemap>`).join('\n')}
+</sitemapindex>
+`;
+
+/**
+ * Replace the sitemaps in distDir with sitemap.xml, an index of
+ * sitemap-<type>.xml files (split into sitemap-<type>-2.xml, ... past
+ * MAX_URLS) listing `pages` on `siteUrl`. Returns the sitemaps written:
+ * [{ file, type, count, lastmod }].
+ */
+const writeSitemaps = ({ distDir, siteUrl, pages }) => {
+    fs.readdirSync(distDir).filter(isSitemapFile).forEach(name => fs.removeSync(path.join(distDir, name)));
+
+    const sitemaps = SITEMAP_TYPES.flatMap(type => {
+        const ofType = pages.filter(page => page.type === type);
+        const chunks = [];
+        for (let i = 0; i < ofType.length; i += MAX_URLS) chunks.push(ofType.slice(i, i + MAX_URLS));
+        return chunks.map((chunk, i) => ({
+            file: `sitemap-${type}${i > 0 ? `-${i + 1}` : ''}.xml`,
+            type,
+            count: chunk.length,
+            lastmod: chunk.map(page => page.lastmod).filter(Boolean).sort().pop() || null,
+            pages: chunk,
+        }));
+    });
+
+    sitemaps.forEach(sitemap => fs.writeFileSync(path.join(distDir, sitemap.file), renderUrlset(siteUrl, sitemap.pages)));
+    fs.writeFileSync(path.join(distDir, INDEX_FILE), renderIndex(siteUrl, sitemaps));
+    return sitemaps.map(({ file, type, count, lastmod }) => ({ file, type, count, lastmod }));
+};
+
+/**
+ * Write robots.txt: `rules` followed by the sitemap index URL.
+ */
+const writeRobots = ({ distDir, siteUrl, rules }) => {
+    const body = rules.trim() ? `${rules.trim()}\n\n` : '';
+    fs.writeFileSync(path.join(distDir, 'robots.txt'), `${body}Sitemap: ${new URL(INDEX_FILE, siteUrl).href}\n`);
+};
+
+module.exports = { SITEMAP_TYPES, isSitemapFile, readGhostSitemaps, collectSitemapPages, writeSitemaps, writeRobots };
@@ -0,0 +1,105 @@
+// lib/sources/api.js — Read Ghost's content through the Admin API or the Content API
+const crypto = require('crypto');
+
+const PAGE_SIZE = 100;
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Short-lived Admin API token: a JWT signed with the key's secret (https://ghost.org/docs/admin-api/#token-authentication).
+ */
+const adminToken = (key) => {
+    const [id, secret] = key.split(':');
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT', kid: id })}.${encode({ iat: now, exp: now + 5 * 60, aud: '/admin/' })}`;
+    const signature = crypto.createHmac('sha256', Buffer.from(secret, 'hex')).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+};
+
+/**
+ * Turn API posts (with embedded tags and authors) into the database tables.
+ */
+const toTables = (entries) => {
+    const tags = new Map();
+    const users = new Map();
+    const posts_tags = [];
+    const posts_authors = [];
+
+    const posts = entries.map(({ tags: postTags = [], authors = [], primary_tag, primary_author, ...post }) => {
+        postTags.forEach((tag, i) => {
+            tags.set(tag.id, tag);
+            posts_tags.push({ post_id: post.id, tag_id: tag.id, sort_order: i });
+        });
+        authors.forEach((author, i) => {
+            users.set(author.id, author);
+            posts_authors.push({ post_id: post.id, author_id: author.id, sort_order: i });
+        });
+        return post;
+    });
+
+    return { posts, tags: [...tags.values()], users: [...users.values()], posts_tags, posts_authors };
+};
+
+/**
+ * Create a Ghost API source.
+ *
+ * Options: `url` (the Ghost site) and `adminKey` (Admin API key `id:secret`, all
+ * statuses) or `contentKey` (Content API key, published entries only).
+ */
+const createApiSource = (options) => {
+    if (!options.url) throw new Error('api source needs a Ghost URL');
+    if (!options.adminKey && !options.contentKey) {
+        throw new Error('api source needs GHOST_ADMIN_API_KEY or GHOST_CONTENT_API_KEY');
+    }
+    if (options.adminKey && !/^[a-f0-9]+:[a-f0-9]+$/i.test(options.adminKey)) {
+        throw new Error('GHOST_ADMIN_API_KEY must look like <id>:<secret> (Settings → Integrations)');
+    }
+    const admin = Boolean(options.adminKey);
+    const base = new URL(`ghost/api/${admin ? 'admin' : 'content'}/`, options.url.replace(/\/?$/, '/'));
+
+    /**
+     * Fetch every page of a browse endpoint.
+     */
+    const browse = async (resource, params) => {
+        const results = [];
+        for (let page = 1; page;) {
+            const url = new URL(`${resource}/`, base);
+            Object.entries({ ...params, limit: PAGE_SIZE, page }).forEach(([key, value]) => url.searchParams.set(key, value));
+            const headers = { 'Accept-Version': 'v5.0' };
+            if (admin) headers.Authorization = `Ghost ${adminToken(options.adminKey)}`;
+            else url.searchParams.set('key', options.contentKey);
+
+            let res;
+            try {
+                res = await fetch(url, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+            } catch (e) {
+                throw new Error(`Could not reach ${base.origin} (${e.cause?.message || e.message})`);
+            }
+            const body = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                throw new Error(`${resource}: HTTP ${res.status}${body.errors?.[0]?.message ? ` (${body.errors[0].message})` : ''}`);
+            }
+            results.push(...(body[resource] || []));
+            page = body.meta?.pagination?.next || null;
+        }
+        return results;
+    };
+
+    return {
+        label: `Ghost ${admin ? 'Admin' : 'Content'} API (${base.origin})`,
+        // The Content API only serves published posts and pages
+        statuses: admin ? null : ['published'],
+
+        load: async () => {
+            const params = { include: 'tags,authors', formats: 'html,plaintext' };
+            const posts = await browse('posts', params);
+            const pages = await browse('pages', params);
+            return toTables([
+                ...posts.map(post => ({ status: 'published', ...post, type: 'post' })),
+                ...pages.map(page => ({ status: 'published', ...page, type: 'page' })),
+            ]);
+        },
+    };
+};
+
+module.exports = createApiSource;
@@ -0,0 +1,24 @@
+// lib/sources/index.js — Ghost content source registry
+const SOURCE_TYPES = {
+    mysql: require('./mysql'),
+    json: require('./json'),
+    api: require('./api'),
+};
+
+/**
+ * Create the content source `type`.
+ *
+ * Every source exposes `label` and `load()` → { posts, tags, users, posts_tags,
+ * posts_authors } (plus `posts_meta` when the source has that table), and
+ * optionally `statuses`, the only post statuses it can return. Sources never
+ * fall back to one another: `load()` rejects when its source is unavailable.
+ */
+const createSource = (type, options) => {
+    const factory = SOURCE_TYPES[type];
+    if (!factory) {
+        throw new Error(`Unknown source "${type}" (expected one of ${Object.keys(SOURCE_TYPES).join(', ')})`);
+    }
+    return { type, ...factory(options[type] || {}) };
+};
+
+module.exports = { SOURCE_TYPES, createSource };
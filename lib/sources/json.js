@@ -0,0 +1,57 @@
+// lib/sources/json.js — Read Ghost's content tables from a JSON export (Ghost Admin backup)
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Find the latest Ghost JSON export file by filename timestamp.
+ */
+const findLatestExport = (dataDir) => {
+    if (!fs.existsSync(dataDir)) {
+        return null;
+    }
+
+    const files = fs.readdirSync(dataDir)
+        .filter(f => f.endsWith('.json') && f.includes('ghost'))
+        .sort();
+
+    return files.length > 0 ? path.join(dataDir, files[files.length - 1]) : null;
+};
+
+/**
+ * Read a Ghost JSON export. Ghost Admin writes `{ db: [{ meta, data }] }`;
+ * a bare `{ data }` is accepted too. Returns the tables and, when recorded,
+ * the export date.
+ */
+const readExportFile = (file) => {
+    const rawData = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const db = rawData.db?.[0] || rawData;
+    if (!db.data || !Array.isArray(db.data.posts)) {
+        throw new Error(`${path.basename(file)} is not a Ghost export (no posts table)`);
+    }
+    const exportedOn = db.meta?.exported_on ? new Date(db.meta.exported_on) : null;
+    return { data: db.data, exportedOn };
+};
+
+/**
+ * Create a JSON export source.
+ *
+ * Options: `file` (an export file) or `dataDir` (Ghost's content/data directory,
+ * whose latest `*ghost*.json` by file name is used).
+ */
+const createJsonSource = (options) => {
+    const file = options.file || findLatestExport(options.dataDir);
+    if (!file) throw new Error(`No Ghost JSON export files found in ${options.dataDir}`);
+    if (!fs.existsSync(file)) throw new Error(`Export file ${file} not found`);
+
+    // Export date from Ghost's metadata, else the file's modification time
+    const { data, exportedOn } = readExportFile(file);
+    const date = exportedOn || fs.statSync(file).mtime;
+
+    return {
+        label: `JSON export file ${path.basename(file)} (exported ${date.toISOString().split('T')[0]})`,
+        file,
+        load: async () => data,
+    };
+};
+
+module.exports = createJsonSource;
@@ -0,0 +1,34 @@
+// lib/sources/mysql.js — Read Ghost's content tables from its MySQL database
+
+/**
+ * Create a MySQL source.
+ *
+ * Options: the connection settings `host`, `port`, `user`, `password` and `database`.
+ */
+const createMysqlSource = (options) => ({
+    label: `MySQL database ${options.database} (${options.host}:${options.port})`,
+
+    load: async () => {
+        const mysql = require('mysql2/promise');
+        const connection = await mysql.createConnection({
+            ...options,
+            connectTimeout: 2000, // 2 seconds timeout
+        });
+
+        try {
+            const [posts] = await connection.query('SELECT * FROM posts');
+            const [tags] = await connection.query('SELECT * FROM tags');
+            const [users] = await connection.query('SELECT * FROM users');
+            const [posts_tags] = await connection.query('SELECT * FROM posts_tags');
+            const [posts_authors] = await connection.query('SELECT * FROM posts_authors');
+            // SEO and social fields moved to posts_meta in Ghost 4
+            const [posts_meta] = await connection.query('SELECT * FROM posts_meta').catch(() => [[]]);
+
+            return { posts, tags, users, posts_tags, posts_authors, posts_meta };
+        } finally {
+            await connection.end();
+        }
+    },
+});
+
+module.exports = createMysqlSource;
@@ -0,0 +1,77 @@
+// lib/targets/common.js — File listing, hashing and diffing shared by the deploy targets
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { getFiles } = require('../utils');
+
+/**
+ * List the files to publish: relative POSIX path → absolute path, minus `exclude`.
+ */
+const listFiles = (dir, exclude = []) => {
+    const files = new Map();
+    getFiles(dir).forEach(file => {
+        const rel = path.relative(dir, file).split(path.sep).join('/');
+        if (!exclude.includes(rel)) files.set(rel, file);
+    });
+    return files;
+};
+
+const hashFile = (file, algorithm = 'sha256') => crypto.createHash(algorithm).update(fs.readFileSync(file)).digest('hex');
+
+/**
+ * Hash a file the way git hashes a blob, so it can be compared with `git ls-tree` output.
+ */
+const gitBlobHash = (file) => {
+    const content = fs.readFileSync(file);
+    return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+};
+
+/**
+ * Content-hashed files listed in the build's asset manifest (see lib/assets.js).
+ */
+const hashedAssets = (distDir, manifestFile) => {
+    const file = manifestFile && path.join(distDir, manifestFile);
+    if (!file || !fs.existsSync(file)) return new Set();
+    return new Set(Object.values(fs.readJsonSync(file).assets || {}));
+};
+
+/**
+ * Hash the local files for a diff against `remote`. A content-hashed asset that
+ * already exists remotely can't have changed (its name would differ), so it takes
+ * the remote hash instead of being read and hashed again.
+ */
+const localHashes = (files, hash, remote, immutable = new Set()) => new Map([...files].map(([rel, file]) => [
+    rel,
+    immutable.has(rel) && remote.has(rel) ? remote.get(rel) : hash(file),
+]));
+
+/**
+ * Compare local and remote path → hash maps.
+ * With `keepRemote` (add-only targets) nothing is ever deleted.
+ */
+const diffFiles = (local, remote, { keepRemote = false } = {}) => {
+    const plan = { added: [], changed: [], deleted: [] };
+    for (const [rel, hash] of local) {
+        if (!remote.has(rel)) plan.added.push(rel);
+        else if (remote.get(rel) !== hash) plan.changed.push(rel);
+    }
+    if (!keepRemote) {
+        for (const rel of remote.keys()) {
+            if (!local.has(rel)) plan.deleted.push(rel);
+        }
+    }
+    Object.values(plan).forEach(list => list.sort());
+    return plan;
+};
+
+/**
+ * Print a plan: totals, then every file prefixed with + (added), ~ (changed) or - (deleted).
+ */
+const printPlan = (plan) => {
+    console.log(`   + ${plan.added.length} added, ~ ${plan.changed.length} changed, - ${plan.deleted.length} deleted`);
+    plan.added.forEach(rel => console.log(`      + ${rel}`));
+    plan.changed.forEach(rel => console.log(`      ~ ${rel}`));
+    plan.deleted.forEach(rel => console.log(`      - ${rel}`));
+};
+
+module.exports = { listFiles, hashFile, gitBlobHash, hashedAssets, localHashes, diffFiles, printPlan };
@@ -0,0 +1,37 @@
+// lib/targets/directory.js — Copy dist/ into a local directory
+const fs = require('fs-extra');
+const path = require('path');
+const { listFiles, hashFile, hashedAssets, localHashes, diffFiles } = require('./common');
+
+/**
+ * Create a local directory target.
+ *
+ * Options: `path` (required, relative to the project root) and `delete`
+ * (remove files that are no longer in dist/, default true).
+ */
+const createDirectoryTarget = (options, context) => {
+    if (!options.path) throw new Error('directory target needs a "path"');
+    const dest = path.resolve(context.rootDir, options.path);
+    const keepRemote = options.delete === false;
+
+    const hashes = (files) => new Map([...files].map(([rel, file]) => [rel, hashFile(file)]));
+
+    return {
+        label: `directory (${dest})`,
+
+        plan: async (distDir) => {
+            const remote = hashes(listFiles(dest));
+            const immutable = hashedAssets(distDir, context.assetManifestFile);
+            return diffFiles(localHashes(listFiles(distDir, context.exclude), hashFile, remote, immutable), remote, { keepRemote });
+        },
+
+        publish: async (distDir, plan) => {
+            [...plan.added, ...plan.changed].forEach(rel => {
+                fs.copySync(path.join(distDir, rel), path.join(dest, rel));
+            });
+            plan.deleted.forEach(rel => fs.removeSync(path.join(dest, rel)));
+        },
+    };
+};
+
+module.exports = createDirectoryTarget;
@@ -0,0 +1,39 @@
+// lib/targets/gh-pages.js — Publish dist/ to GitHub Pages
+const fs = require('fs-extra');
+const path = require('path');
+const createGitTarget = require('./git');
+
+// Files only GitHub Pages reads; other targets drop them from dist/ (see the finalize stage)
+const GH_PAGES_FILES = ['CNAME', '.nojekyll'];
+
+/**
+ * Create a GitHub Pages target: a git target that defaults to the gh-pages branch
+ * in add-only mode, and writes the GitHub-specific CNAME and .nojekyll files.
+ *
+ * Options: `repo`, `remote`, `branch` (default gh-pages), `message`, `add` (default true)
+ * and `cname` (default: the DEPLOY_URL host; false to skip the CNAME file). No
+ * CNAME is written by default for a github.io host or a site under a base path:
+ * a project site is served on its owner's domain and can't have its own.
+ */
+const createGhPagesTarget = (options, context) => {
+    const { cname, ...gitOptions } = options;
+    const target = createGitTarget({ branch: 'gh-pages', add: true, ...gitOptions }, context);
+    const { host } = new URL(context.deployUrl);
+    const ownDomain = !host.endsWith('.github.io') && !context.basePath;
+    const domain = cname === undefined ? ownDomain && host : cname;
+
+    return {
+        ...target,
+        label: target.label.replace(/^git/, 'GitHub Pages'),
+
+        prepare: async (distDir) => {
+            // A CNAME left by an earlier deploy would keep pointing the site at the old domain
+            if (domain) fs.writeFileSync(path.join(distDir, 'CNAME'), domain);
+            else fs.removeSync(path.join(distDir, 'CNAME'));
+            fs.writeFileSync(path.join(distDir, '.nojekyll'), '');
+        },
+    };
+};
+
+module.exports = createGhPagesTarget;
+module.exports.GH_PAGES_FILES = GH_PAGES_FILES;
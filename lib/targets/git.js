@@ -0,0 +1,62 @@
+// lib/targets/git.js — Publish dist/ to a branch of any git remote (via the gh-pages package)
+const { execFileSync } = require('child_process');
+const ghpages = require('gh-pages');
+const { listFiles, gitBlobHash, hashedAssets, localHashes, diffFiles } = require('./common');
+
+/**
+ * Read path → blob hash of the remote branch, or an empty map when it doesn't exist yet.
+ */
+const readRemoteTree = (cwd, source, branch) => {
+    const tree = new Map();
+    try {
+        execFileSync('git', ['fetch', '--quiet', '--depth', '1', source, branch], { cwd, stdio: 'pipe' });
+    } catch (e) {
+        return tree;
+    }
+
+    const output = execFileSync('git', ['ls-tree', '-r', '-z', 'FETCH_HEAD'], { cwd, stdio: 'pipe', maxBuffer: 256 * 1024 * 1024 });
+    output.toString('utf8').split('\0').filter(Boolean).forEach(entry => {
+        // "<mode> blob <hash>\t<path>"
+        const [meta, rel] = entry.split('\t');
+        tree.set(rel, meta.split(' ')[2]);
+    });
+    return tree;
+};
+
+/**
+ * Create a git target.
+ *
+ * Options: `repo` (URL; defaults to the `remote`'s URL), `remote` (default origin),
+ * `branch` (required), `message` and `add` (only add/update files, never delete).
+ */
+const createGitTarget = (options, context) => {
+    const { repo, remote = 'origin', branch, message = 'Updates', add = false } = options;
+    if (!branch) throw new Error('git target needs a "branch"');
+
+    const publishOptions = (exclude) => ({
+        repo,
+        remote,
+        branch,
+        message,
+        add,
+        dotfiles: true,
+        src: ['**/*', ...exclude.map(rel => `!${rel}`)],
+    });
+
+    return {
+        label: `git (${repo || remote} → ${branch})`,
+
+        plan: async (distDir) => {
+            const remoteTree = readRemoteTree(context.rootDir, repo || remote, branch);
+            const immutable = hashedAssets(distDir, context.assetManifestFile);
+            const local = localHashes(listFiles(distDir, context.exclude), gitBlobHash, remoteTree, immutable);
+            return diffFiles(local, remoteTree, { keepRemote: add });
+        },
+
+        publish: async (distDir) => {
+            await ghpages.publish(distDir, publishOptions(context.exclude));
+        },
+    };
+};
+
+module.exports = createGitTarget;
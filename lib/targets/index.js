@@ -0,0 +1,32 @@
+// lib/targets/index.js — Deploy target registry
+const { printPlan } = require('./common');
+
+const TARGET_TYPES = {
+    'gh-pages': require('./gh-pages'),
+    git: require('./git'),
+    directory: require('./directory'),
+    rsync: require('./rsync'),
+    s3: require('./s3'),
+};
+
+/**
+ * Create the deploy target `name` from the configured targets.
+ *
+ * Every target exposes `name`, `type`, `label`, `plan(distDir)` → { added, changed, deleted },
+ * `publish(distDir, plan)` and optionally `prepare(distDir)` for files that only
+ * this target needs (e.g. CNAME for GitHub Pages).
+ */
+const createTarget = (name, targets, context) => {
+    const options = targets[name];
+    if (!options) {
+        throw new Error(`Unknown deploy target "${name}" (configured: ${Object.keys(targets).join(', ') || 'none'})`);
+    }
+    const { type, ...targetOptions } = options;
+    const factory = TARGET_TYPES[type];
+    if (!factory) {
+        throw new Error(`Deploy target "${name}" has unknown type "${type}" (expected one of ${Object.keys(TARGET_TYPES).join(', ')})`);
+    }
+    return { name, type, ...factory(targetOptions, context) };
+};
+
+module.exports = { TARGET_TYPES, createTarget, printPlan };
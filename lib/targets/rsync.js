@@ -0,0 +1,49 @@
+// lib/targets/rsync.js — Sync dist/ to a local or remote rsync destination
+const { execFileSync } = require('child_process');
+
+/**
+ * Create an rsync target.
+ *
+ * Options: `dest` (required, e.g. "deploy@staging:/var/www/blog"), `delete`
+ * (default true) and `args` (extra rsync arguments such as ["-e", "ssh -p 2222"]).
+ */
+const createRsyncTarget = (options, context) => {
+    const { dest, args = [] } = options;
+    if (!dest) throw new Error('rsync target needs a "dest"');
+
+    const rsyncArgs = (distDir, extra) => [
+        '-a', '--checksum',
+        ...(options.delete === false ? [] : ['--delete']),
+        ...context.exclude.map(rel => `--exclude=/${rel}`),
+        ...args,
+        ...extra,
+        `${distDir}/`,
+        dest,
+    ];
+
+    return {
+        label: `rsync (${dest})`,
+
+        plan: async (distDir) => {
+            const output = execFileSync('rsync', rsyncArgs(distDir, ['--dry-run', '--itemize-changes']), { stdio: 'pipe' });
+            const plan = { added: [], changed: [], deleted: [] };
+            output.toString('utf8').split('\n').filter(Boolean).forEach(line => {
+                // "*deleting   path" or "<flags> path" where flags[1] is the file type
+                if (line.startsWith('*deleting')) {
+                    plan.deleted.push(line.replace(/^\*deleting\s+/, ''));
+                    return;
+                }
+                const [flags, ...rest] = line.split(' ');
+                if (flags[1] !== 'f') return;
+                (flags.includes('+++++') ? plan.added : plan.changed).push(rest.join(' '));
+            });
+            return plan;
+        },
+
+        publish: async (distDir) => {
+            execFileSync('rsync', rsyncArgs(distDir, []), { stdio: 'inherit' });
+        },
+    };
+};
+
+module.exports = createRsyncTarget;
@@ -0,0 +1,99 @@
+// lib/targets/s3.js — Upload dist/ to an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+const fs = require('fs-extra');
+const path = require('path');
+const { listFiles, hashFile, hashedAssets, localHashes, diffFiles } = require('./common');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mp3': 'audio/mpeg',
+    '.pdf': 'application/pdf',
+};
+
+const UPLOAD_CONCURRENCY = 8;
+// Content-hashed assets never change under the same name
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Create an S3 target.
+ *
+ * Options: `bucket` (required), `prefix`, `region` (default us-east-1), `endpoint`
+ * (for MinIO and other S3-compatible stores; enables path-style URLs), `delete`
+ * (default true) and `cacheControl` (content-hashed assets always get a
+ * one-year immutable Cache-Control). Credentials come from the usual AWS
+ * environment variables (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY) or profile.
+ */
+const createS3Target = (options, context) => {
+    const { bucket, prefix = '', region = 'us-east-1', endpoint, cacheControl } = options;
+    if (!bucket) throw new Error('s3 target needs a "bucket"');
+    const keyPrefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+
+    // Loaded lazily so the SDK is only required when an S3 target is used
+    const sdk = require('@aws-sdk/client-s3');
+    const client = new sdk.S3Client({ region, endpoint, forcePathStyle: Boolean(endpoint) });
+
+    // Remote key → ETag (the MD5 of the object for single-part uploads)
+    const listRemote = async () => {
+        const remote = new Map();
+        let ContinuationToken;
+        do {
+            const page = await client.send(new sdk.ListObjectsV2Command({ Bucket: bucket, Prefix: keyPrefix, ContinuationToken }));
+            (page.Contents || []).forEach(obj => remote.set(obj.Key.slice(keyPrefix.length), obj.ETag.replace(/"/g, '')));
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return remote;
+    };
+
+    const upload = (distDir, rel, immutable) => client.send(new sdk.PutObjectCommand({
+        Bucket: bucket,
+        Key: `${keyPrefix}${rel}`,
+        Body: fs.readFileSync(path.join(distDir, rel)),
+        ContentType: CONTENT_TYPES[path.extname(rel).toLowerCase()] || 'application/octet-stream',
+        ...(immutable.has(rel) ? { CacheControl: IMMUTABLE_CACHE_CONTROL } : cacheControl && { CacheControl: cacheControl }),
+    }));
+
+    return {
+        label: `s3 (${endpoint ? `${endpoint}/` : 's3://'}${bucket}/${keyPrefix})`,
+
+        plan: async (distDir) => {
+            const remote = await listRemote();
+            const immutable = hashedAssets(distDir, context.assetManifestFile);
+            const local = localHashes(listFiles(distDir, context.exclude), (file) => hashFile(file, 'md5'), remote, immutable);
+            return diffFiles(local, remote, { keepRemote: options.delete === false });
+        },
+
+        publish: async (distDir, plan) => {
+            const uploads = [...plan.added, ...plan.changed];
+            const immutable = hashedAssets(distDir, context.assetManifestFile);
+            for (let i = 0; i < uploads.length; i += UPLOAD_CONCURRENCY) {
+                await Promise.all(uploads.slice(i, i + UPLOAD_CONCURRENCY).map(rel => upload(distDir, rel, immutable)));
+            }
+            // DeleteObjects accepts at most 1000 keys per request
+            for (let i = 0; i < plan.deleted.length; i += 1000) {
+                await client.send(new sdk.DeleteObjectsCommand({
+                    Bucket: bucket,
+                    Delete: { Objects: plan.deleted.slice(i, i + 1000).map(rel => ({ Key: `${keyPrefix}${rel}` })) },
+                }));
+            }
+        },
+    };
+};
+
+module.exports = createS3Target;
@@ -0,0 +1,118 @@
+// lib/transforms.js — Declarative HTML transform rules (remove, replace, attributes, wrap, insert)
+
+// action → what the rule needs besides its selector
+const ACTIONS = {
+    remove: {},
+    replace: { html: true },
+    setAttribute: { attributes: 'object' },
+    removeAttribute: { attributes: 'array' },
+    wrap: { html: true },
+    before: { html: true },
+    after: { html: true },
+    prepend: { html: true },
+    append: { html: true },
+    // Appends to <head>; takes no selector
+    appendToHead: { html: true, noSelector: true },
+};
+
+const isString = (v) => typeof v === 'string';
+const isPattern = (v) => isString(v) || v instanceof RegExp;
+
+/**
+ * Check one rule from the `transforms` option.
+ */
+const isTransformRule = (rule) => {
+    if (!rule || typeof rule !== 'object' || !Object.hasOwn(ACTIONS, rule.action)) return false;
+    const needs = ACTIONS[rule.action];
+    if (needs.noSelector ? rule.selector !== undefined : !(isString(rule.selector) && rule.selector.length > 0)) return false;
+    if (needs.html && !isString(rule.html)) return false;
+    if (needs.attributes === 'object' && !(rule.attributes && typeof rule.attributes === 'object' && !Array.isArray(rule.attributes)
+        && Object.values(rule.attributes).every(value => isString(value) || typeof value === 'number' || typeof value === 'boolean'))) return false;
+    if (needs.attributes === 'array' && !(Array.isArray(rule.attributes) && rule.attributes.length > 0 && rule.attributes.every(isString))) return false;
+    if (rule.pages !== undefined && !(isPattern(rule.pages) || (Array.isArray(rule.pages) && rule.pages.every(isPattern)))) return false;
+    if (rule.name !== undefined && !isString(rule.name)) return false;
+    if (rule.optional !== undefined && typeof rule.optional !== 'boolean') return false;
+    return true;
+};
+
+/**
+ * Normalize rules: `pages` compiled to an array of RegExps, and a label for reports.
+ */
+const compileRules = (rules) => rules.map(rule => ({
+    ...rule,
+    label: rule.name || (rule.selector ? `${rule.action} ${rule.selector}` : rule.action),
+    pages: rule.pages === undefined
+        ? null
+        // Without the g/y flags, whose lastIndex would make test() alternate between pages
+        : [].concat(rule.pages).map(pattern => (pattern instanceof RegExp
+            ? new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''))
+            : new RegExp(pattern))),
+}));
+
+/**
+ * URL path of an output file: `tag/news/index.html` → `/tag/news/`, `404.html` → `/404.html`.
+ */
+const pagePath = (relativeFile) => `/${relativeFile.split('\\').join('/')}`.replace(/(^|\/)index\.html$/, '$1');
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Fill `{{path}}`, `{{url}}` and `{{title}}` in a rule's HTML with the page's values (HTML-escaped).
+ */
+const fillPlaceholders = (html, page) => html.replace(/\{\{\s*(path|url|title)\s*\}\}/g, (_, key) => escapeHtml(page[key]));
+
+/**
+ * Apply the rules to one page, in order. `stats` (one entry per rule:
+ * { elements, pages, scoped, error }: matched elements, pages with a match,
+ * pages in the rule's scope) is updated in place.
+ *
+ * `page` is { path, url }; the title is read from the page itself.
+ */
+const applyRules = (cheerio, html, rules, page, stats) => {
+    const $ = cheerio.load(html);
+    const values = { ...page, title: $('title').first().text().trim() };
+
+    rules.forEach((rule, i) => {
+        if (stats[i].error) return;
+        if (rule.pages && !rule.pages.some(pattern => pattern.test(page.path))) return;
+        stats[i].scoped++;
+
+        let $elements;
+        try {
+            $elements = rule.action === 'appendToHead' ? $('head').first() : $(rule.selector);
+        } catch (e) {
+            stats[i].error = `invalid selector: ${e.message}`;
+            return;
+        }
+        if ($elements.length === 0) return;
+        stats[i].elements += $elements.length;
+        stats[i].pages++;
+
+        const content = ACTIONS[rule.action].html ? fillPlaceholders(rule.html, values) : null;
+        switch (rule.action) {
+            case 'remove': $elements.remove(); break;
+            case 'replace': $elements.replaceWith(content); break;
+            case 'setAttribute':
+                Object.entries(rule.attributes).forEach(([name, value]) => {
+                    if (value === false) $elements.removeAttr(name);
+                    else $elements.attr(name, value === true ? '' : String(value));
+                });
+                break;
+            case 'removeAttribute': rule.attributes.forEach(name => $elements.removeAttr(name)); break;
+            case 'wrap': $elements.wrap(content); break;
+            case 'before': $elements.before(content); break;
+            case 'after': $elements.after(content); break;
+            case 'prepend': $elements.prepend(content); break;
+            case 'append':
+            case 'appendToHead': $elements.append(content); break;
+        }
+    });
+
+    return $.html();
+};
+
+module.exports = { ACTIONS, isTransformRule, compileRules, pagePath, applyRules };
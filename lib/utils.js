@@ -0,0 +1,24 @@
+// lib/utils.js — Small helpers shared by the build scripts
+const fs = require('fs-extra');
+const path = require('path');
+
+// Escape a string for safe use inside a RegExp (URLs may contain '.', etc.)
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Recursively list the files under dir, optionally filtered by extension.
+ */
+const getFiles = (dir, ext) => {
+    let results = [];
+    if (!fs.existsSync(dir)) return results;
+    const list = fs.readdirSync(dir);
+    list.forEach(file => {
+        file = path.join(dir, file);
+        const stat = fs.statSync(file);
+        if (stat && stat.isDirectory()) results = results.concat(getFiles(file, ext));
+        else if (!ext || file.endsWith(ext)) results.push(file);
+    });
+    return results;
+};
+
+module.exports = { escapeRegExp, getFiles };
@@ -0,0 +1,135 @@
+// lib/verify.js — Post-build consistency check of the static output
+const fs = require('fs-extra');
+const path = require('path');
+const { parseSrcset, extractSitemapUrls } = require('./crawler');
+const { escapeRegExp, getFiles } = require('./utils');
+
+/**
+ * Resolve a site path (/tag/news/, /assets/app.css, /about) to an existing file in distDir.
+ */
+const resolveOnDisk = (distDir, sitePath) => {
+    let decoded = sitePath;
+    try {
+        decoded = decodeURIComponent(sitePath);
+    } catch (e) { /* keep the raw path */ }
+
+    const base = path.join(distDir, decoded);
+    const candidates = decoded.endsWith('/')
+        ? [path.join(base, 'index.html')]
+        : [base, `${base}.html`, path.join(base, 'index.html')];
+    return candidates.some(file => fs.existsSync(file) && fs.statSync(file).isFile());
+};
+
+/**
+ * Turn a reference into a site path, or null when it points outside the site.
+ */
+const toSitePath = (ref, pageUrl, siteOrigins) => {
+    if (!ref || /^(?:#|mailto:|tel:|javascript:|data:|blob:)/i.test(ref.trim())) return null;
+    let url;
+    try {
+        url = new URL(ref.trim(), pageUrl);
+    } catch (e) {
+        return null;
+    }
+    if (!siteOrigins.includes(url.origin)) return null;
+    return url.pathname;
+};
+
+/**
+ * Check distDir for broken internal references and leftover Ghost URLs.
+ *
+ * Resolves every href, src and srcset in the HTML files and every <loc> in the
+ * sitemaps against the files on disk. Returns the issues grouped by kind; each
+ * issue names the missing target (or offending URL) and the files referring to it.
+ *
+ * With a `basePath`, the site lives under it: references must carry it, and a
+ * path outside it is only reported when it would have matched a file without
+ * it (a reference that missed the prefix); others, and the origin's root,
+ * belong to another site.
+ */
+const verifyDist = ({ cheerio, distDir, ghostUrl, deployUrl, basePath = '', ignore = [] }) => {
+    const localOrigin = 'http://static.local';
+    const siteOrigins = [localOrigin, ghostUrl && new URL(ghostUrl).origin, deployUrl && new URL(deployUrl).origin]
+        .filter(Boolean);
+    const issues = { missingFiles: new Map(), missingSitemapUrls: new Map(), ghostReferences: new Map() };
+
+    const record = (group, key, file) => {
+        if (!group.has(key)) group.set(key, []);
+        const rel = path.relative(distDir, file);
+        if (!group.get(key).includes(rel)) group.get(key).push(rel);
+    };
+
+    const check = (group, ref, pageUrl, file) => {
+        const urlPath = toSitePath(ref, pageUrl, siteOrigins);
+        if (!urlPath) return;
+        const inBase = !basePath || urlPath === basePath || urlPath.startsWith(`${basePath}/`);
+        const sitePath = inBase ? urlPath.slice(basePath.length) || '/' : urlPath;
+        if (ignore.some(pattern => pattern.test(sitePath))) return;
+        const broken = inBase ? !resolveOnDisk(distDir, sitePath) : sitePath !== '/' && resolveOnDisk(distDir, sitePath);
+        if (broken) record(group, urlPath, file);
+    };
+
+    // 1. Internal references in HTML
+    getFiles(distDir, '.html').forEach(file => {
+        const $ = cheerio.load(fs.readFileSync(file, 'utf8'));
+        const sitePath = `/${path.relative(distDir, file).split(path.sep).join('/')}`.replace(/index\.html$/, '');
+        const pageUrl = `${localOrigin}${basePath}${sitePath}`;
+
+        $('[href]').each((_, el) => check(issues.missingFiles, $(el).attr('href'), pageUrl, file));
+        $('[src]').each((_, el) => check(issues.missingFiles, $(el).attr('src'), pageUrl, file));
+        $('[srcset]').each((_, el) => {
+            parseSrcset($(el).attr('srcset')).forEach(ref => check(issues.missingFiles, ref, pageUrl, file));
+        });
+    });
+
+    // 2. Sitemap <loc> entries
+    getFiles(distDir, '.xml')
+        .filter(file => /sitemap[^/\\]*\.xml$/.test(file))
+        .forEach(file => {
+            extractSitemapUrls(cheerio, fs.readFileSync(file, 'utf8'))
+                .forEach(loc => check(issues.missingSitemapUrls, loc, localOrigin, file));
+        });
+
+    // 3. Leftover references to the Ghost origin (absolute or protocol-relative)
+    if (ghostUrl) {
+        const ghostHost = new URL(ghostUrl).host;
+        const ghostPattern = new RegExp(`(?:https?:)?//${escapeRegExp(ghostHost)}`, 'g');
+        getFiles(distDir)
+            .filter(file => /\.(?:html|xml|css|js|txt)$/.test(file))
+            .forEach(file => {
+                const content = fs.readFileSync(file, 'utf8');
+                if (ghostPattern.test(content)) record(issues.ghostReferences, ghostUrl, file);
+                ghostPattern.lastIndex = 0;
+            });
+    }
+
+    return issues;
+};
+
+/**
+ * Count the issues of a verifyDist() result (one per broken target, however many files refer to it).
+ */
+const countIssues = (issues) => Object.values(issues).reduce((sum, group) => sum + group.size, 0);
+
+/**
+ * Print a grouped report: one line per target with up to three referring files.
+ */
+const printReport = (issues) => {
+    const labels = {
+        missingFiles: 'Missing files referenced from HTML',
+        missingSitemapUrls: 'Sitemap URLs without a page',
+        ghostReferences: 'Leftover Ghost URLs',
+    };
+
+    Object.entries(issues).forEach(([kind, group]) => {
+        if (group.size === 0) return;
+        console.log(`\n   ❌ ${labels[kind]} (${group.size}):`);
+        [...group.keys()].sort().forEach(target => {
+            const files = group.get(target);
+            const more = files.length > 3 ? ` and ${files.length - 3} more` : '';
+            console.log(`      ${target}  ← ${files.slice(0, 3).join(', ')}${more}`);
+        });
+    });
+};
+
+module.exports = { verifyDist, countIssues, printReport };
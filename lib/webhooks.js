@@ -0,0 +1,191 @@
+// lib/webhooks.js — Ghost webhook listener: signed requests trigger debounced, one-at-a-time rebuilds
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+
+// Signatures older (or newer) than this are refused, so a captured request can't be replayed later
+const SIGNATURE_TOLERANCE = 5 * 60 * 1000;
+// Post payloads carry the full HTML, Lexical and plaintext of the post
+const MAX_BODY = 10 * 1024 * 1024;
+
+// Payloads shaped like Ghost's, for `watch.js --send <event>`
+const SAMPLE_PAYLOADS = {
+    'post.published': {
+        post: {
+            current: { id: '000000000000000000000001', title: 'Sample post', slug: 'sample-post', status: 'published' },
+            previous: { status: 'draft' },
+        },
+    },
+    'post.edited': {
+        post: {
+            current: { id: '000000000000000000000001', title: 'Sample post', slug: 'sample-post', status: 'published' },
+            previous: { title: 'Sample post (draft title)' },
+        },
+    },
+    'site.changed': {},
+};
+
+const hmac = (secret, body, timestamp) => crypto.createHmac('sha256', secret).update(`${body}${timestamp}`).digest('hex');
+
+/**
+ * X-Ghost-Signature header for a request body: `sha256=<hmac of body + timestamp>, t=<timestamp>`.
+ */
+const signPayload = (secret, body, timestamp = Date.now()) => `sha256=${hmac(secret, body, timestamp)}, t=${timestamp}`;
+
+/**
+ * Why a request's X-Ghost-Signature header doesn't match its body, or null when it does.
+ */
+const signatureError = (secret, body, header, now = Date.now()) => {
+    if (!header) return 'no X-Ghost-Signature header';
+    const signature = header.match(/sha256=([0-9a-f]{64})/i)?.[1];
+    const timestamp = header.match(/\bt=(\d+)/)?.[1];
+    if (!signature || !timestamp) return 'malformed X-Ghost-Signature header';
+    const expected = Buffer.from(hmac(secret, body, timestamp), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature.toLowerCase(), 'hex'))) return 'signature mismatch';
+    if (Math.abs(now - Number(timestamp)) > SIGNATURE_TOLERANCE) return 'signature expired';
+    return null;
+};
+
+/**
+ * One line about what a webhook payload changed, e.g. `post "Hello" (published)`.
+ * Ghost doesn't name the event in the request; site.changed sends an empty payload.
+ */
+const describeEvent = (payload) => {
+    const type = ['post', 'page', 'tag', 'member'].find(key => payload && payload[key]);
+    if (!type) return 'site changed';
+    const { current = {}, previous = {} } = payload[type];
+    const entry = Object.keys(current).length > 0 ? current : previous;
+    const name = entry.title || entry.name || entry.slug || entry.id || '?';
+    const status = Object.keys(current).length === 0 ? 'deleted' : current.status;
+    return `${type} "${name}"${status ? ` (${status})` : ''}`;
+};
+
+/**
+ * Run `run()` for bursts of events: `trigger(event)` (re)starts a `debounce` ms
+ * timer, and only when it expires does a run start, for every event received
+ * so far. Runs never overlap: events that arrive during a run start the next
+ * one once it's done. `run()` resolves with a summary (an array of lines) or
+ * rejects; the last `history` runs are kept, newest first, and saved to `logFile`.
+ */
+const createRunner = ({ run, debounce, history, logFile, log = console.log }) => {
+    let runs = [];
+    if (logFile && fs.existsSync(logFile)) {
+        try {
+            runs = fs.readJsonSync(logFile).slice(0, history);
+        } catch (e) {
+            log(`⚠️  Ignoring unreadable run log ${logFile}: ${e.message}`);
+        }
+    }
+    let pending = [];
+    let timer = null;
+    let current = null;
+    let running = null;
+
+    const start = () => {
+        const events = pending;
+        pending = [];
+        const id = (runs[0]?.id || 0) + 1;
+        current = { id, events, startedAt: new Date().toISOString() };
+        log(`\n🔁 Run #${id}: ${events.length} event${events.length > 1 ? 's' : ''} (${[...new Set(events.map(e => e.event))].join(', ')})`);
+        const startedAt = Date.now();
+        running = (async () => {
+            const record = current;
+            try {
+                record.summary = await run() || [];
+                record.status = 'success';
+            } catch (e) {
+                record.status = 'failed';
+                record.error = e.message;
+            }
+            record.finishedAt = new Date().toISOString();
+            record.duration = Date.now() - startedAt;
+            runs = [record, ...runs].slice(0, history);
+            if (logFile) fs.outputJsonSync(logFile, runs, { spaces: 2 });
+            log(record.status === 'success'
+                ? `✅ Run #${id} succeeded (${(record.duration / 1000).toFixed(2)}s).`
+                : `❌ Run #${id} failed: ${record.error}`);
+            current = null;
+            running = null;
+            if (pending.length > 0 && !timer) start();
+        })();
+    };
+
+    return {
+        trigger: (event) => {
+            pending.push({ event, receivedAt: new Date().toISOString() });
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timer = null;
+                if (!running) start();
+            }, debounce);
+        },
+
+        // idle (nothing to do), waiting (debouncing events), running
+        status: () => ({
+            state: running ? 'running' : timer ? 'waiting' : 'idle',
+            pending,
+            current,
+            runs,
+        }),
+
+        // Resolves once the current run (if any) is done; drops the events still waiting
+        stop: async () => {
+            clearTimeout(timer);
+            timer = null;
+            pending = [];
+            if (running) await running;
+        },
+    };
+};
+
+const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(`${JSON.stringify(body, null, 2)}\n`);
+};
+
+/**
+ * HTTP server for Ghost's webhooks: POST /webhook (signed with `secret`)
+ * triggers `runner`, GET /status reports the runner's state and last runs.
+ */
+const createWebhookServer = ({ secret, runner, debounce, log = console.log }) => http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/status') {
+        if (req.method !== 'GET') return send(res, 405, { error: 'Use GET' });
+        return send(res, 200, runner.status());
+    }
+    if (pathname !== '/webhook') return send(res, 404, { error: 'Not found (endpoints: POST /webhook, GET /status)' });
+    if (req.method !== 'POST') return send(res, 405, { error: 'Use POST' });
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+            send(res, 413, { error: 'Payload too large' });
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (res.headersSent) return;
+        const body = Buffer.concat(chunks).toString('utf8');
+        const problem = signatureError(secret, body, req.headers['x-ghost-signature']);
+        if (problem) {
+            log(`⚠️  Rejected webhook from ${req.socket.remoteAddress}: ${problem}`);
+            return send(res, 401, { error: `Invalid signature: ${problem}` });
+        }
+        let payload;
+        try {
+            payload = body.trim() ? JSON.parse(body) : {};
+        } catch (e) {
+            return send(res, 400, { error: `Invalid JSON: ${e.message}` });
+        }
+        const event = describeEvent(payload);
+        runner.trigger(event);
+        log(`📨 Webhook: ${event}, running in ${debounce / 1000}s unless more arrive`);
+        send(res, 202, { accepted: event, state: runner.status().state });
+    });
+});
+
+module.exports = { SAMPLE_PAYLOADS, signPayload, signatureError, describeEvent, createRunner, createWebhookServer };
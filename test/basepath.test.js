@@ -0,0 +1,28 @@
+// test/basepath.test.js — Pages served from a subpath: the URLs that get the base path
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { createPrefixer } = require('../lib/basepath');
+const { injectSearch } = require('../lib/search');
+
+const prefixer = createPrefixer({ basePath: '/blog', origin: 'https://org.github.io', roots: new Set(['assets', 'hello', 'search.js', 'search-index.json']) });
+
+test('the static search script and its index are loaded from the subpath', () => {
+    const html = injectSearch(cheerio, '<html><body></body></html>', { indexFile: 'search-index.json', scriptFile: 'search.js' });
+    const $ = cheerio.load(prefixer.prefixHtml(cheerio, html));
+    assert.equal($('script[data-static-search]').attr('src'), '/blog/search.js');
+    assert.equal($('script[data-static-search]').attr('data-index'), '/blog/search-index.json');
+});
+
+test('only paths into the site are prefixed, once', () => {
+    const $ = cheerio.load(prefixer.prefixHtml(cheerio, [
+        '<a href="/">Home</a>',
+        '<a href="/hello/">Hello</a>',
+        '<a href="/blog/hello/">Already prefixed</a>',
+        '<a href="/other-app/">Other app</a>',
+        '<a href="https://org.github.io/hello/#top">Absolute</a>',
+        '<img srcset="/assets/a.jpg 1x, /assets/b.jpg 2x">',
+    ].join('')));
+    assert.deepEqual($('a').map((_, el) => $(el).attr('href')).get(), ['/blog/', '/blog/hello/', '/blog/hello/', '/other-app/', 'https://org.github.io/blog/hello/#top']);
+    assert.equal($('img').attr('srcset'), '/blog/assets/a.jpg 1x, /blog/assets/b.jpg 2x');
+});
@@ -0,0 +1,198 @@
+// test/build.test.js — The build pipeline run against a stand-in for Ghost
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { STAGES, createBuild } = require('../lib/build');
+const { startGhost, blogPages } = require('./helpers/ghost');
+
+/**
+ * A fixture Ghost and an empty project; `build(options)` creates a build-only
+ * build of the one with the other. Both are removed when the test ends.
+ */
+const setup = async (t, { deployUrl = 'https://blog.example.com' } = {}) => {
+    t.mock.method(console, 'log', () => {});
+    const ghost = await startGhost(blogPages());
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghost-build-'));
+    t.after(async () => {
+        await ghost.close();
+        fs.removeSync(rootDir);
+    });
+    const build = (options = {}) => createBuild({
+        rootDir,
+        buildOnly: true,
+        env: { GHOST_URL: ghost.url, DEPLOY_URL: deployUrl },
+        ...options,
+    });
+    const read = (file) => fs.readFileSync(path.join(rootDir, 'dist', file), 'utf8');
+    return { ghost, rootDir, build, read };
+};
+
+// Record the stages a build starts (`name`) and skips (`-name`)
+const recordStages = (build) => {
+    const seen = [];
+    build.on('stage:start', ({ stage }) => seen.push(stage)).on('stage:skip', ({ stage }) => seen.push(`-${stage}`));
+    return seen;
+};
+
+test('a build-only run mirrors Ghost through every stage, in order', async (t) => {
+    const { ghost, rootDir, build, read } = await setup(t);
+    const b = build();
+    const seen = recordStages(b);
+    const durations = [];
+    b.on('stage:end', ({ stage, duration }) => durations.push([stage, duration]));
+    let done = null;
+    b.on('done', (event) => { done = event; });
+
+    assert.deepEqual(b.stages(), STAGES.map(stage => stage.name));
+    const context = await b.run();
+
+    // Deploying and its preparation are left out, and so are the stages the config turns off
+    assert.deepEqual(seen, [
+        'mirror', 'assetAudit', 'sanitize', 'rewrite', 'clean', 'sitemaps', 'images', 'search', 'feeds',
+        'redirects', '-basePath', '-minify', 'verify', 'seoAudit', 'report', '-finalize', '-publish',
+    ]);
+    assert.deepEqual(durations.map(([stage]) => stage), seen.filter(stage => !stage.startsWith('-')));
+    assert.ok(durations.every(([, duration]) => duration >= 0));
+    assert.equal(done.context, context);
+
+    // Ghost's pages, rewritten for the deploy URL, plus what the build generates
+    ['index.html', 'hello/index.html', 'second/index.html', 'tag/news/index.html', '404.html', 'assets/built/screen.css',
+        'sitemap.xml', 'robots.txt', 'search-index.json', 'search.js', 'atom.xml', 'feed.json', 'build-manifest.json']
+        .forEach(file => assert.ok(fs.existsSync(path.join(rootDir, 'dist', file)), `dist/${file}`));
+    const hello = read('hello/index.html');
+    assert.ok(!hello.includes(ghost.url), 'no links to Ghost left');
+    assert.match(hello, /<link rel="stylesheet" href="\/assets\/built\/screen\.css">/);
+    assert.match(hello, /<script src="\/search\.js" data-static-search="" data-index="\/search-index\.json" defer(?:="")?><\/script>/);
+    // The theme's search button opens the static search instead of Sodo search
+    assert.match(hello, /data-ghost-search/);
+    assert.doesNotMatch(hello, /data-sodo-search/);
+    assert.match(read('sitemap.xml'), /https:\/\/blog\.example\.com\//);
+    // The first build has nothing to compare with
+    assert.equal(fs.existsSync(path.join(rootDir, 'build-report.md')), false);
+    assert.ok(fs.existsSync(path.join(rootDir, '.cache', 'build-snapshot.json')));
+});
+
+test('hooks run around their stage and added stages run where they were put', async (t) => {
+    const { build } = await setup(t);
+    const b = build();
+    const calls = [];
+    b.before('rewrite', () => calls.push('before rewrite'))
+        .after('rewrite', () => calls.push('after rewrite'))
+        .before('basePath', () => calls.push('before basePath'))
+        .on('stage:start', ({ stage }) => calls.push(`start ${stage}`))
+        .on('stage:end', ({ stage }) => calls.push(`end ${stage}`));
+    b.addStage({
+        name: 'stamp',
+        run: ({ config }) => fs.outputFileSync(path.join(config.distDir, 'stamp.txt'), 'built'),
+    });
+    b.addStage({ name: 'count', after: 'mirror', run: (context) => { context.fetchedCount = context.fetched.size; } });
+    b.addStage({ name: 'never', before: 'report', enabled: () => false, run: () => assert.fail('disabled stage ran') });
+
+    assert.deepEqual(b.stages().slice(0, 3), ['mirror', 'count', 'assetAudit']);
+    assert.deepEqual(b.stages().slice(-7, -2), ['stamp', 'verify', 'seoAudit', 'never', 'report']);
+    const context = await b.run();
+
+    assert.deepEqual(calls.filter(call => call.includes('rewrite')), ['start rewrite', 'before rewrite', 'after rewrite', 'end rewrite']);
+    // Hooks of a stage that doesn't run don't either
+    assert.ok(!calls.includes('before basePath'));
+    assert.ok(context.fetchedCount > 0);
+    assert.equal(fs.readFileSync(path.join(context.config.distDir, 'stamp.txt'), 'utf8'), 'built');
+
+    assert.throws(() => b.before('deploy', () => {}), /Unknown build stage "deploy"/);
+    assert.throws(() => b.addStage({ name: 'stamp', run: () => {} }), /Build stage "stamp" already exists/);
+    assert.throws(() => b.addStage({ name: 'nothing' }), /needs a name and a run function/);
+});
+
+test('a failing stage stops the build with its error', async (t) => {
+    const { build } = await setup(t);
+    const b = build();
+    const seen = recordStages(b);
+    b.addStage({ name: 'broken', after: 'clean', run: () => { throw new Error('broken stage'); } });
+
+    await assert.rejects(b.run(), { message: 'broken stage' });
+    assert.equal(seen.at(-1), 'broken');
+});
+
+test('an incremental build refetches what changed in the sitemaps and reuses the rest', async (t) => {
+    const { ghost, build, read } = await setup(t);
+    await build().run();
+
+    ghost.pages['/hello/'].body = ghost.pages['/hello/'].body.replace('The first post.', 'The first post, edited.');
+    ghost.pages['/sitemap-posts.xml'].body = ghost.pages['/sitemap-posts.xml'].body.replace('2024-01-01', '2024-03-01');
+    ghost.requests.length = 0;
+    const context = await build().run();
+
+    assert.match(read('hello/index.html'), /The first post, edited\./);
+    // The changed post and the listings that show it; the seeds are always fetched
+    assert.deepEqual([...ghost.requests].sort(), ['/', '/404/', '/hello/', '/rss/', '/sitemap-posts.xml', '/sitemap.xml', '/tag/news/']);
+    assert.ok(!ghost.requests.includes('/second/'));
+    assert.deepEqual(context.report.pages.modified.map(page => page.path), ['/hello/']);
+});
+
+test('an incremental build stops before deleting anything when the sitemaps can\'t be fetched', async (t) => {
+    const { ghost, rootDir, build } = await setup(t);
+    await build().run();
+    const before = fs.readdirSync(path.join(rootDir, 'dist'), { recursive: true }).sort();
+
+    ghost.pages['/sitemap-posts.xml'].status = 503;
+    await assert.rejects(build().run(), /Incremental build aborted: could not fetch .*\/sitemap-posts\.xml \(HTTP 503\)/);
+
+    // Ghost's sitemaps are put back by the next build
+    assert.deepEqual(fs.readdirSync(path.join(rootDir, 'dist'), { recursive: true }).filter(file => !file.startsWith('sitemap')).sort(),
+        before.filter(file => !file.startsWith('sitemap')));
+});
+
+test('a site served from a subpath gets the base path on every URL, search index included', async (t) => {
+    const { build, read } = await setup(t, { deployUrl: 'https://org.github.io/blog' });
+    const b = build();
+    const seen = recordStages(b);
+    await b.run();
+
+    assert.ok(seen.includes('basePath'));
+    const hello = read('hello/index.html');
+    assert.match(hello, /href="\/blog\/assets\/built\/screen\.css"/);
+    assert.match(hello, /<a href="\/blog\/">Test Blog<\/a>/);
+    assert.match(hello, /src="\/blog\/search\.js" data-static-search="" data-index="\/blog\/search-index\.json"/);
+});
+
+test('GitHub Pages files are only published by the gh-pages target', async (t) => {
+    const { rootDir, build } = await setup(t);
+    fs.outputJsonSync(path.join(rootDir, 'ghost-static.config.json'), {
+        deployTargets: {
+            pages: { type: 'gh-pages', repo: path.join(rootDir, 'missing.git') },
+            project: { type: 'gh-pages', repo: path.join(rootDir, 'missing.git'), cname: false },
+            local: { type: 'directory', path: 'public' },
+        },
+    });
+    const dryRun = async (deployTarget) => (await build({ buildOnly: false, dryRun: true, cli: { deployTarget } }).run()).plan.added;
+    const inDist = (name) => fs.existsSync(path.join(rootDir, 'dist', name));
+
+    assert.ok((await dryRun('pages')).includes('CNAME'));
+    assert.equal(fs.readFileSync(path.join(rootDir, 'dist', 'CNAME'), 'utf8'), 'blog.example.com');
+    assert.ok(inDist('.nojekyll'));
+
+    // The next build reuses dist/: the files of the gh-pages deploy must not reach another target
+    const added = await dryRun('local');
+    assert.ok(added.includes('index.html'));
+    assert.ok(!added.includes('CNAME') && !added.includes('.nojekyll'));
+    assert.ok(!inDist('CNAME') && !inDist('.nojekyll'));
+
+    // Nor the CNAME of an earlier deploy reach a gh-pages target without one
+    await dryRun('pages');
+    assert.ok(!(await dryRun('project')).includes('CNAME'));
+    assert.ok(!inDist('CNAME') && inDist('.nojekyll'));
+});
+
+test('without the static search, Sodo search and its buttons are removed', async (t) => {
+    const { rootDir, build, read } = await setup(t);
+    await build({ cli: { staticSearch: false } }).run();
+
+    ['index.html', 'hello/index.html', 'tag/news/index.html'].forEach(file => {
+        const html = read(file);
+        assert.doesNotMatch(html, /data-sodo-search|data-ghost-search|data-static-search/, file);
+        assert.match(html, /<a href="\/">Test Blog<\/a>/, file);
+    });
+    assert.equal(fs.existsSync(path.join(rootDir, 'dist', 'search.js')), false);
+});
@@ -0,0 +1,35 @@
+// test/cards.test.js — Ghost's cards converted to Markdown, against fixtures of the HTML Ghost renders
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { protectHtmlCards, parseEmbed } = require('../lib/export/cards');
+const { createTurndownService } = require('../lib/export/turndown');
+const { PROFILES } = require('../lib/export/profiles');
+
+// <card>.html is Ghost's markup; <card>.md the expected Markdown with the generic
+// profile, <card>.<profile>.md with another profile (e.g. Hugo's shortcodes)
+const FIXTURES = path.join(__dirname, 'fixtures', 'cards');
+
+const convert = (profile, html) => createTurndownService(PROFILES[profile]).turndown(protectHtmlCards(html));
+
+fs.readdirSync(FIXTURES).filter(name => name.endsWith('.html')).forEach(name => {
+    const card = path.basename(name, '.html');
+    const html = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+    fs.readdirSync(FIXTURES)
+        .filter(expected => expected === `${card}.md` || (expected.startsWith(`${card}.`) && expected.endsWith('.md')))
+        .forEach(expected => {
+            const profile = expected.slice(card.length + 1, -'.md'.length) || 'generic';
+            test(`${card} card (${profile})`, () => {
+                assert.equal(convert(profile, html), fs.readFileSync(path.join(FIXTURES, expected), 'utf8').trimEnd());
+            });
+        });
+});
+
+test('parseEmbed recognizes YouTube, Vimeo and tweet URLs', () => {
+    assert.deepEqual(parseEmbed('https://youtu.be/dQw4w9WgXcQ'), { type: 'youtube', id: 'dQw4w9WgXcQ', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' });
+    assert.deepEqual(parseEmbed('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10'), { type: 'youtube', id: 'dQw4w9WgXcQ', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' });
+    assert.deepEqual(parseEmbed('https://vimeo.com/76979871'), { type: 'vimeo', id: '76979871', url: 'https://vimeo.com/76979871' });
+    assert.deepEqual(parseEmbed('https://x.com/jack/status/20'), { type: 'tweet', user: 'jack', id: '20', url: 'https://x.com/jack/status/20' });
+    assert.deepEqual(parseEmbed('https://codepen.io/pen/abc'), { type: 'link', url: 'https://codepen.io/pen/abc' });
+});
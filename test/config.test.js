@@ -0,0 +1,59 @@
+// test/config.test.js — Resolved configuration: what each environment builds and writes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { resolveConfig } = require('../lib/config');
+const { createBuild } = require('../lib/build');
+
+// Run `fn(rootDir)` on a temporary project with `config` as its ghost-static.config.json
+const withProject = (config, fn) => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghost-config-'));
+    try {
+        fs.outputJsonSync(path.join(rootDir, 'ghost-static.config.json'), config);
+        return fn(rootDir);
+    } finally {
+        fs.removeSync(rootDir);
+    }
+};
+
+test('each environment gets its own output directory and report files', () => withProject({
+    environments: { staging: {}, production: { reportFile: 'reports/production.md', seoReportFile: null } },
+}, (rootDir) => {
+    const main = resolveConfig({ rootDir });
+    assert.equal(main.distDir, path.join(rootDir, 'dist'));
+    assert.equal(main.reportFile, path.join(rootDir, 'build-report.md'));
+    assert.equal(main.seoReportFile, path.join(rootDir, 'seo-report.json'));
+
+    const staging = resolveConfig({ rootDir, environment: 'staging' });
+    assert.equal(staging.distDir, path.join(rootDir, 'dist-staging'));
+    assert.equal(staging.reportFile, path.join(rootDir, 'build-report-staging.md'));
+    assert.equal(staging.seoReportFile, path.join(rootDir, 'seo-report-staging.json'));
+
+    // The environment's own settings win
+    const production = resolveConfig({ rootDir, environment: 'production' });
+    assert.equal(production.reportFile, path.join(rootDir, 'reports', 'production.md'));
+    assert.equal(production.seoReportFile, null);
+
+    assert.throws(() => resolveConfig({ rootDir, environment: 'qa' }), /Unknown environment "qa" \(configured: staging, production\)/);
+}));
+
+test('reports turned off stay off in every environment', () => withProject({
+    reportFile: null,
+    environments: { staging: {} },
+}, (rootDir) => {
+    assert.equal(resolveConfig({ rootDir, environment: 'staging' }).reportFile, null);
+}));
+
+test('slug changes and build snapshots are kept per environment', () => withProject({
+    environments: { staging: {} },
+}, (rootDir) => {
+    const main = createBuild({ rootDir, buildOnly: true }).config;
+    assert.equal(main.slugRedirectsFile, path.join(rootDir, 'slug-redirects.json'));
+    assert.equal(main.snapshotFile, path.join(rootDir, '.cache', 'build-snapshot.json'));
+
+    const staging = createBuild({ rootDir, buildOnly: true, environment: 'staging' }).config;
+    assert.equal(staging.slugRedirectsFile, path.join(rootDir, 'slug-redirects-staging.json'));
+    assert.equal(staging.snapshotFile, path.join(rootDir, '.cache', 'build-snapshot-staging.json'));
+}));
@@ -0,0 +1,28 @@
+// test/crawler.test.js — Crawling a stand-in for Ghost into a directory
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { crawlSite } = require('../lib/crawler');
+const { startGhost, blogPages } = require('./helpers/ghost');
+
+test('a request Ghost never answers times out instead of stalling the crawl', async (t) => {
+    const cheerio = await import('cheerio');
+    const ghost = await startGhost({ ...blogPages(), '/second/': { hang: true } });
+    const distDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghost-crawl-'));
+    t.after(async () => {
+        await ghost.close();
+        fs.removeSync(distDir);
+    });
+
+    const graph = await crawlSite({ cheerio, ghostUrl: ghost.url, distDir, timeout: 300 });
+
+    const second = graph.get(`${ghost.url}/second/`);
+    assert.equal(second.status, 0);
+    assert.equal(second.error, 'timed out after 0.3s');
+    assert.equal(second.file, null);
+    // The rest of the site is still mirrored
+    assert.equal(graph.get(`${ghost.url}/hello/`).status, 200);
+    assert.ok(fs.existsSync(path.join(distDir, 'hello', 'index.html')));
+});
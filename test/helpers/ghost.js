@@ -0,0 +1,79 @@
+// test/helpers/ghost.js — A stand-in for a Ghost site: an HTTP server serving fixture pages
+const http = require('http');
+
+/**
+ * Serve `pages` (path → { body, type, status }, { redirect }, or { hang } for a
+ * request that is never answered) on a free port; `{{ghost}}` in a body becomes
+ * the server's URL. `pages` can be changed between requests. Resolves with { url, pages, requests (paths, in order), close() }.
+ */
+const startGhost = async (pages) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        requests.push(pathname);
+        const page = pages[pathname];
+        if (page?.hang) return;
+        if (page?.redirect) {
+            res.writeHead(301, { Location: page.redirect });
+            return res.end();
+        }
+        if (!page) {
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            return res.end('<html><body>Not found</body></html>');
+        }
+        res.writeHead(page.status || 200, { 'Content-Type': page.type || 'text/html; charset=utf-8' });
+        res.end(page.body.replaceAll('{{ghost}}', ghost.url));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const ghost = {
+        url: `http://127.0.0.1:${server.address().port}`,
+        pages,
+        requests,
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        }),
+    };
+    return ghost;
+};
+
+/**
+ * A small Ghost blog: home, two posts, a tag, the 404 page, RSS, sitemaps and a
+ * stylesheet; every page has Sodo search and a search button.
+ */
+const blogPages = () => {
+    const page = (title, body) => ({
+        body: `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${title}</title>`
+            + `<meta name="description" content="${title} on the test blog">`
+            + '<link rel="stylesheet" href="/assets/built/screen.css?v=1">'
+            + '<script src="https://cdn.jsdelivr.net/ghost/sodo-search/umd/sodo-search.min.js" data-sodo-search="{{ghost}}/" defer></script></head>'
+            + '<body><header><a href="/">Test Blog</a><button class="gh-search" data-ghost-search>Search</button></header>'
+            + `<main><h1>${title}</h1>${body}</main></body></html>`,
+    });
+    const post = (title, text) => page(title, `<article class="gh-content"><p>${text}</p><a href="/tag/news/">News</a></article>`);
+    return {
+        '/': page('Test Blog', '<a href="/hello/">Hello</a> <a href="/second/">Second</a>'),
+        '/hello/': post('Hello', 'The first post.'),
+        '/second/': post('Second', 'The second post.'),
+        '/tag/news/': page('News', '<a href="/hello/">Hello</a> <a href="/second/">Second</a>'),
+        '/404/': { ...page('Page not found', '<p>Nothing here.</p>'), status: 404 },
+        '/rss/': {
+            type: 'application/rss+xml',
+            body: '<?xml version="1.0" encoding="UTF-8"?><rss version="2.0"><channel><title>Test Blog</title><link>{{ghost}}/</link></channel></rss>',
+        },
+        '/sitemap.xml': {
+            type: 'text/xml',
+            body: '<?xml version="1.0" encoding="UTF-8"?><sitemapindex><sitemap><loc>{{ghost}}/sitemap-posts.xml</loc></sitemap></sitemapindex>',
+        },
+        '/sitemap-posts.xml': {
+            type: 'text/xml',
+            body: '<?xml version="1.0" encoding="UTF-8"?><urlset>'
+                + '<url><loc>{{ghost}}/hello/</loc><lastmod>2024-01-01T00:00:00.000Z</lastmod></url>'
+                + '<url><loc>{{ghost}}/second/</loc><lastmod>2024-02-01T00:00:00.000Z</lastmod></url>'
+                + '</urlset>',
+        },
+        '/assets/built/screen.css': { type: 'text/css', body: 'body { color: #15171a; }' },
+    };
+};
+
+module.exports = { startGhost, blogPages };
@@ -0,0 +1,61 @@
+// test/import.test.js — Markdown files read for the import, and the import file built from them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { readEntries } = require('../lib/import/markdown');
+const { buildImport } = require('../lib/import/ghost-json');
+
+// Read `files` (name → content) from a temporary folder: the entries and the reported errors
+const read = (files) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghost-import-'));
+    try {
+        Object.entries(files).forEach(([name, content]) => fs.outputFileSync(path.join(dir, name), content));
+        const errors = [];
+        const entries = readEntries(dir, { onError: (file, e) => errors.push(`${file}: ${e.message}`) });
+        return { entries, errors };
+    } finally {
+        fs.removeSync(dir);
+    }
+};
+
+const postsOf = ({ file }) => file.db[0].data.posts;
+
+test('SEO fields, featured and visibility are imported as in the frontmatter', () => {
+    const { entries, errors } = read({
+        'hello.md': '---\ntitle: Hello\nstatus: published\ndate: 2024-01-01\nmeta_title: 2024\nog_image: https://example.com/a.jpg\nfeatured: true\nvisibility: members\n---\nHi\n',
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(entries[0].extras, { meta_title: '2024', og_image: 'https://example.com/a.jpg', featured: true, visibility: 'members' });
+
+    const [post] = postsOf(buildImport(entries.map(entry => ({ ...entry, html: '<p>Hi</p>' })), null));
+    assert.equal(post.meta_title, '2024');
+    assert.equal(post.featured, true);
+    assert.equal(post.visibility, 'members');
+});
+
+test('entries without the fields keep Ghost\'s defaults', () => {
+    const { entries } = read({ 'plain.md': '---\ntitle: Plain\n---\nHi\n' });
+    const [post] = postsOf(buildImport(entries.map(entry => ({ ...entry, html: '<p>Hi</p>' })), null));
+    assert.equal(post.featured, false);
+    assert.equal(post.visibility, 'public');
+    assert.equal(post.meta_title, undefined);
+});
+
+test('invalid values are reported through onError and the file is skipped', () => {
+    const { entries, errors } = read({
+        'featured.md': '---\nfeatured: "yes please"\n---\n',
+        'visibility.md': '---\nvisibility: everyone\n---\n',
+        'title.md': `---\nmeta_title: ${'x'.repeat(301)}\n---\n`,
+        'image.md': '---\nog_image: [a.jpg, b.jpg]\n---\n',
+        'ok.md': '---\nfeatured: false\nvisibility: paid\n---\n',
+    });
+    assert.deepEqual(entries.map(entry => entry.slug), ['ok']);
+    assert.deepEqual(errors, [
+        'featured.md: invalid featured "yes please" (expected true or false)',
+        'image.md: invalid og_image (expected text)',
+        'title.md: meta_title is longer than Ghost\'s 300 characters',
+        'visibility.md: invalid visibility "everyone" (expected public, members, paid, tiers)',
+    ]);
+});
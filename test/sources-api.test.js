@@ -0,0 +1,126 @@
+// test/sources-api.test.js — The API source against a stand-in for Ghost's Admin and Content APIs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const createApiSource = require('../lib/sources/api');
+
+const KEY_ID = '6489f5a5b4b1c2d3e4f5a6b7';
+const KEY_SECRET = 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90';
+const CONTENT_KEY = '22444f78447824223cefc48062';
+
+// 150 posts (two pages of 100) in every status, and a published page
+const TAG = { id: 't1', name: 'News', slug: 'news' };
+const AUTHOR = { id: 'u1', name: 'Ada', slug: 'ada' };
+const POSTS = Array.from({ length: 150 }, (_, i) => ({
+    id: `p${i + 1}`,
+    slug: `post-${i + 1}`,
+    status: ['published', 'draft', 'scheduled'][i % 3],
+    tags: [TAG],
+    authors: [AUTHOR],
+}));
+const PAGES = [{ id: 'g1', slug: 'about', status: 'published', tags: [], authors: [AUTHOR] }];
+
+const fromBase64url = (part) => JSON.parse(Buffer.from(part, 'base64url').toString());
+
+// Why an Admin API token isn't one Ghost would accept, or null when it is
+const tokenError = (header) => {
+    const [scheme, token] = (header || '').split(' ');
+    if (scheme !== 'Ghost' || !token) return 'no Ghost token';
+    const [head, payload, signature] = token.split('.');
+    const expected = crypto.createHmac('sha256', Buffer.from(KEY_SECRET, 'hex')).update(`${head}.${payload}`).digest('base64url');
+    if (signature !== expected) return 'bad signature';
+    const { alg, typ, kid } = fromBase64url(head);
+    if (alg !== 'HS256' || typ !== 'JWT' || kid !== KEY_ID) return 'bad header';
+    const { iat, exp, aud } = fromBase64url(payload);
+    if (aud !== '/admin/') return 'bad audience';
+    if (exp - iat > 5 * 60 || exp < Date.now() / 1000) return 'expired';
+    return null;
+};
+
+/**
+ * Ghost's browse endpoints for posts and pages, paginated like Ghost: the Admin
+ * API serves every status, the Content API published entries (without a status).
+ */
+const startGhost = async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        const match = url.pathname.match(/^\/ghost\/api\/(admin|content)\/(posts|pages)\/$/);
+        if (!match) return send(404, { errors: [{ message: 'Resource not found' }] });
+        const [, api, resource] = match;
+
+        let entries = resource === 'posts' ? POSTS : PAGES;
+        if (api === 'admin') {
+            const problem = tokenError(req.headers.authorization);
+            if (problem) return send(401, { errors: [{ message: `Invalid token: ${problem}` }] });
+        } else {
+            if (url.searchParams.get('key') !== CONTENT_KEY) return send(401, { errors: [{ message: 'Unknown Content API Key' }] });
+            entries = entries.filter(entry => entry.status === 'published').map(({ status, ...entry }) => entry);
+        }
+
+        const limit = Number(url.searchParams.get('limit'));
+        const page = Number(url.searchParams.get('page'));
+        const pages = Math.max(1, Math.ceil(entries.length / limit));
+        send(200, {
+            [resource]: entries.slice((page - 1) * limit, page * limit),
+            meta: { pagination: { page, limit, pages, total: entries.length, next: page < pages ? page + 1 : null } },
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+test('the Admin API is read with a signed token, across every page and status', async (t) => {
+    const ghost = await startGhost();
+    t.after(ghost.close);
+    const source = createApiSource({ url: `${ghost.url}/`, adminKey: `${KEY_ID}:${KEY_SECRET}` });
+    assert.equal(source.statuses, null);
+
+    const tables = await source.load();
+    assert.equal(tables.posts.length, 151);
+    assert.deepEqual(new Set(tables.posts.map(post => post.status)), new Set(['published', 'draft', 'scheduled']));
+    assert.deepEqual(tables.posts.at(-1), { id: 'g1', slug: 'about', status: 'published', type: 'page' });
+    assert.deepEqual(tables.tags, [TAG]);
+    assert.deepEqual(tables.users, [AUTHOR]);
+    assert.equal(tables.posts_tags.length, 150);
+    assert.equal(tables.posts_authors.length, 151);
+
+    assert.deepEqual(ghost.requests.map(url => `${url.pathname}?page=${url.searchParams.get('page')}`), [
+        '/ghost/api/admin/posts/?page=1',
+        '/ghost/api/admin/posts/?page=2',
+        '/ghost/api/admin/pages/?page=1',
+    ]);
+    assert.equal(ghost.requests[0].searchParams.get('include'), 'tags,authors');
+    assert.equal(ghost.requests[0].searchParams.get('key'), null);
+});
+
+test('the Content API only yields published entries', async (t) => {
+    const ghost = await startGhost();
+    t.after(ghost.close);
+    const source = createApiSource({ url: ghost.url, contentKey: CONTENT_KEY });
+    assert.deepEqual(source.statuses, ['published']);
+
+    const tables = await source.load();
+    assert.equal(tables.posts.length, 51);
+    assert.ok(tables.posts.every(post => post.status === 'published'));
+    assert.deepEqual(tables.posts.filter(post => post.type === 'page').map(page => page.slug), ['about']);
+    assert.ok(ghost.requests.every(url => url.searchParams.get('key') === CONTENT_KEY));
+});
+
+test('refused requests and bad keys are reported', async (t) => {
+    const ghost = await startGhost();
+    t.after(ghost.close);
+    const wrongSecret = createApiSource({ url: ghost.url, adminKey: `${KEY_ID}:${'0'.repeat(64)}` });
+    await assert.rejects(wrongSecret.load(), { message: 'posts: HTTP 401 (Invalid token: bad signature)' });
+    const wrongKey = createApiSource({ url: ghost.url, contentKey: 'nope' });
+    await assert.rejects(wrongKey.load(), { message: 'posts: HTTP 401 (Unknown Content API Key)' });
+
+    assert.throws(() => createApiSource({ url: ghost.url, adminKey: 'not-a-key' }), /must look like <id>:<secret>/);
+    assert.throws(() => createApiSource({ url: ghost.url }), /needs GHOST_ADMIN_API_KEY or GHOST_CONTENT_API_KEY/);
+});
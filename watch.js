@@ -0,0 +1,185 @@
+// watch.js — Listen for Ghost's webhooks and rebuild (and deploy) when content changes
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createBuild } = require('./lib/build');
+const { resolveConfig } = require('./lib/config');
+const { summarizeReport } = require('./lib/report');
+const { SAMPLE_PAYLOADS, signPayload, createRunner, createWebhookServer } = require('./lib/webhooks');
+
+// --- Command Line ---
+const USAGE = `Usage: node watch.js [options]
+
+Listens for Ghost's webhooks (post.published, post.edited, site.changed, ...) and
+runs the build and deploy whenever they arrive. Requests must be signed with
+WEBHOOK_SECRET, the secret of the webhooks in Ghost.
+
+Options:
+  --build-only          Rebuild dist/ without deploying
+  -t, --target <name>   Deploy target from the config (default: gh-pages)
+  -e, --env <name>      Environment from the config's environments
+  -y, --yes             Deploy even when more pages were removed than
+                        confirmRemovedPages (otherwise such runs fail)
+  --full                Rebuild everything on every run
+  -c, --config <file>   Config file (default: ghost-static.config.{js,json})
+  --deploy-url <url>    Production URL (overrides DEPLOY_URL)
+  --host <host>         Address to listen on (default: webhookHost, 0.0.0.0)
+  -p, --port <port>     Port to listen on (default: webhookPort, 2369)
+  --debounce <seconds>  Wait this long after the last webhook before a run
+                        (default: webhookDebounce, 10)
+  --send <event|file>   Send a signed webhook to a running listener and exit:
+                        a sample ${Object.keys(SAMPLE_PAYLOADS).join(', ')} payload,
+                        or the JSON payload in a file
+  -v, --verbose         Log every fetched URL and matched selector
+  -h, --help            Show this help
+
+Endpoints: POST /webhook (the URL to give Ghost), GET /status (state and last runs).`;
+
+let args;
+try {
+    ({ values: args } = parseArgs({
+        options: {
+            'build-only': { type: 'boolean', default: false },
+            target: { type: 'string', short: 't' },
+            env: { type: 'string', short: 'e' },
+            yes: { type: 'boolean', short: 'y', default: false },
+            full: { type: 'boolean', default: false },
+            config: { type: 'string', short: 'c' },
+            'deploy-url': { type: 'string' },
+            host: { type: 'string' },
+            port: { type: 'string', short: 'p' },
+            debounce: { type: 'string' },
+            send: { type: 'string' },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    }));
+    ['port', 'debounce'].forEach(name => {
+        if (args[name] !== undefined && !/^\d+(\.\d+)?$/.test(args[name])) throw new Error(`--${name} must be a number`);
+    });
+} catch (e) {
+    console.error(`❌ Error: ${e.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+// --- Configuration ---
+const secret = process.env.WEBHOOK_SECRET;
+const buildOptions = {
+    rootDir: __dirname,
+    configPath: args.config,
+    env: process.env,
+    cli: {},
+    environment: args.env,
+    buildOnly: args['build-only'],
+    fullBuild: args.full,
+    verbose: args.verbose,
+    // Nobody is at the terminal to answer
+    confirm: async () => {
+        if (!args.yes) console.log('   Unattended run: pass --yes to deploy anyway.');
+        return args.yes;
+    },
+};
+if (args['deploy-url']) buildOptions.cli.deployUrl = args['deploy-url'];
+if (args.target) buildOptions.cli.deployTarget = args.target;
+if (args.host) buildOptions.cli.webhookHost = args.host;
+if (args.port) buildOptions.cli.webhookPort = Number(args.port);
+if (args.debounce) buildOptions.cli.webhookDebounce = Number(args.debounce);
+
+let config;
+try {
+    if (!secret) throw new Error('WEBHOOK_SECRET is missing (set it in .env to the secret of the webhooks in Ghost).');
+    // The listener fails early on config errors (and a missing DEPLOY_URL) instead of at the first webhook
+    ({ config } = args.send ? { config: resolveConfig(buildOptions) } : createBuild(buildOptions));
+} catch (e) {
+    console.error(`❌ Error: ${e.message}`);
+    process.exit(1);
+}
+const localUrl = `http://${['0.0.0.0', '::'].includes(config.webhookHost) ? 'localhost' : config.webhookHost}:${config.webhookPort}`;
+
+// --- Send a Test Webhook ---
+/**
+ * POST a signed payload to the listener, the way Ghost does.
+ */
+const sendWebhook = async (what) => {
+    let payload = SAMPLE_PAYLOADS[what];
+    if (!payload) {
+        if (!fs.existsSync(what)) {
+            throw new Error(`"${what}" is neither a sample event (${Object.keys(SAMPLE_PAYLOADS).join(', ')}) nor a file`);
+        }
+        payload = fs.readJsonSync(what);
+    }
+    const body = JSON.stringify(payload);
+    const res = await fetch(`${localUrl}/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Ghost-Signature': signPayload(secret, body) },
+        body,
+    });
+    const text = await res.text();
+    if (!res.ok) throw new Error(`Listener answered ${res.status}: ${text.trim()}`);
+    console.log(`📨 Sent ${what}: ${text.trim()}`);
+};
+
+// --- Listener ---
+/**
+ * One run of the pipeline; resolves with the summary kept in the run log.
+ */
+const runBuild = async () => {
+    const build = createBuild(buildOptions);
+    const context = await build.run();
+    const summary = context.report ? summarizeReport(context.report) : [];
+    if (context.plan) {
+        const { added, changed, deleted } = context.plan;
+        summary.push(`Deployed to ${build.target.label}: + ${added.length} added, ~ ${changed.length} changed, - ${deleted.length} deleted`);
+    }
+    return summary;
+};
+
+const listen = () => {
+    const debounce = config.webhookDebounce * 1000;
+    const runner = createRunner({
+        run: runBuild,
+        debounce,
+        history: config.webhookHistory,
+        logFile: path.join(__dirname, '.cache', config.environment ? `watch-log-${config.environment}.json` : 'watch-log.json'),
+    });
+    const server = createWebhookServer({ secret, runner, debounce });
+
+    server.on('error', (e) => {
+        console.error(`❌ Error: ${e.code === 'EADDRINUSE' ? `port ${config.webhookPort} is already in use` : e.message}`);
+        process.exit(1);
+    });
+    server.listen(config.webhookPort, config.webhookHost, () => {
+        const mode = config.buildOnly ? 'build only' : `deploy to ${config.deployUrl}`;
+        console.log(`👂 Listening for Ghost webhooks on ${config.webhookHost}:${config.webhookPort} (${mode}${config.environment ? `, ${config.environment}` : ''})`);
+        console.log(`   Webhook: POST ${localUrl}/webhook`);
+        console.log(`   Status:  GET ${localUrl}/status`);
+    });
+
+    const stop = async () => {
+        // A second Ctrl+C aborts the run in progress
+        process.once('SIGINT', () => process.exit(1));
+        console.log('\n👋 Stopping the listener...');
+        server.close();
+        if (runner.status().state === 'running') console.log('   Waiting for the current run to finish (Ctrl+C again to abort it)...');
+        await runner.stop();
+        process.exit(0);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+};
+
+// --- Main Execution ---
+if (args.send) {
+    sendWebhook(args.send).catch(e => {
+        console.error(`❌ Error: ${e.message}`);
+        process.exit(1);
+    });
+} else {
+    listen();
+}